@@ -2,14 +2,40 @@ import BehaviorTreeStatus from "./BehaviorTreeStatus.js";
 import BehaviorTreeError from "./Error/BehaviorTreeError.js";
 import Errors from "./Error/Errors.js";
 import ActionNode from "./Node/ActionNode.js";
+import AsyncActionNode from "./Node/AsyncActionNode.js";
+import BlackboardScopeNode from "./Node/BlackboardScopeNode.js";
+import CatchNode from "./Node/CatchNode.js";
+import ConditionNode from "./Node/ConditionNode.js";
+import CooldownNode from "./Node/CooldownNode.js";
+import FailerNode from "./Node/FailerNode.js";
+import GuardNode from "./Node/GuardNode.js";
+import IfNode from "./Node/IfNode.js";
 import InverterNode from "./Node/InverterNode.js";
 import ParallelNode from "./Node/ParallelNode.js";
+import RandomSelectorNode from "./Node/RandomSelectorNode.js";
+import RandomSequenceNode from "./Node/RandomSequenceNode.js";
+import ReactiveSelectorNode from "./Node/ReactiveSelectorNode.js";
+import ReactiveSequenceNode from "./Node/ReactiveSequenceNode.js";
 import SelectorNode from "./Node/SelectorNode.js";
 import RepeatNode from "./Node/RepeatNode.js"
+import RepeatNNode from "./Node/RepeatNNode.js";
+import RetryNode from "./Node/RetryNode.js";
+import SucceederNode from "./Node/SucceederNode.js";
+import TimeoutNode from "./Node/TimeoutNode.js";
 import UntilFailNode from "./Node/UntilFailNode.js"
+import UntilSuccessNode from "./Node/UntilSuccessNode.js";
+import UtilityNode from "./Node/UtilityNode.js";
+import WaitForNode from "./Node/WaitForNode.js";
+import UtilitySelectorNode from "./Node/UtilitySelectorNode.js";
+import WeightedSelectorNode from "./Node/WeightedSelectorNode.js";
+import NodeKind from "./NodeKind.js";
+import NodeRegistry from "./NodeRegistry.js";
 import SequenceNode from "./Node/SequenceNode.js";
+import SubtreeNode from "./Node/SubtreeNode.js";
 import Stack from "./Stack.js";
 import StateData from "./StateData.js";
+import TreeValidator from "./TreeValidator.js";
+import TreeWalker from "./TreeWalker.js";
 
 export default class BehaviorTreeBuilder {
     /**
@@ -24,22 +50,57 @@ export default class BehaviorTreeBuilder {
      */
     parentNodeStack = new Stack();
 
+    /**
+     * Node types available through the node function.
+     *
+     * @type {NodeRegistry}
+     */
+    registry;
+
+    /**
+     * Subtrees that can be referenced by name, see defineSubtree.
+     *
+     * @type {Map<string, BehaviorTreeNodeInterface>}
+     */
+    subtrees = new Map();
+
+    /**
+     * Branches opened by then and else, which are closed together with their if node.
+     *
+     * @type {WeakSet<SequenceNode>}
+     */
+    branches = new WeakSet();
+
+    /**
+     * @param {NodeRegistry} registry
+     */
+    constructor(registry = NodeRegistry.default) {
+        this.registry = registry;
+    }
+
     /**
      * Create an action node.
      *
      * @param {string} name
      * @param {(state: StateData) => BehaviorTreeStatus} fn
+     * @param {(state: StateData) => void} [onHalt] - Invoked when the action is interrupted while running.
      * @returns {BehaviorTreeBuilder}
      */
-    do(name, fn){
-        if (this.parentNodeStack.isEmpty()) {
-            throw new BehaviorTreeError(Errors.UNNESTED_ACTION_NODE);
-        }
-
-        const actionNode = new ActionNode(name, fn);
-        this.parentNodeStack.peek().addChild(actionNode);
+    do(name, fn, onHalt){
+        return this.addLeafNode(new ActionNode(name, fn, onHalt));
+    }
 
-        return this;
+    /**
+     * Create an action node that returns running until the promise returned by its function settles, instead of
+     * blocking the tick. The function is given an AbortSignal that is aborted when the node is halted.
+     *
+     * @param {string} name
+     * @param {(state: StateData, signal: AbortSignal) => Promise<BehaviorTreeStatus>} fn
+     * @param {(state: StateData) => void} [onHalt] - Invoked when the action is interrupted while running.
+     * @returns {BehaviorTreeBuilder}
+     */
+     doAsync(name, fn, onHalt) {
+        return this.addLeafNode(new AsyncActionNode(name, fn, onHalt));
     }
 
     /**
@@ -50,7 +111,21 @@ export default class BehaviorTreeBuilder {
      * @returns {BehaviorTreeBuilder}
      */
      condition(name, fn) {
-        return this.do(name, async (t) => await fn(t) ? BehaviorTreeStatus.Success : BehaviorTreeStatus.Failure);
+        return this.addLeafNode(new ConditionNode(name, fn));
+    }
+
+    /**
+     * Create a node that is running until a predicate is true. A tree instance running only because of such nodes
+     * sleeps until one of the blackboard keys changes, one of the events is emitted on the instance, or the time
+     * elapses.
+     *
+     * @param {string}                        name
+     * @param {(state: StateData) => boolean} predicate
+     * @param {{keys: string[], events: string[], ms: number}} [wakeups]
+     * @returns {BehaviorTreeBuilder}
+     */
+     waitFor(name, predicate, {keys, events, ms} = {}) {
+        return this.addLeafNode(new WaitForNode(name, predicate, keys, events, ms));
     }
 
     /**
@@ -63,6 +138,156 @@ export default class BehaviorTreeBuilder {
         return this.addParentNode(new InverterNode(name));
     }
 
+    /**
+     * Create a timeout node that halts its child and fails when the child runs for too long.
+     *
+     * @param {string}       name
+     * @param {number}       ms      - How long the child may run, in milliseconds.
+     * @param {() => number} [clock] - Current time in milliseconds. By default time is summed from deltaTime.
+     * @returns {BehaviorTreeBuilder}
+     */
+     timeout(name, ms, clock) {
+        return this.addParentNode(new TimeoutNode(name, ms, clock));
+    }
+
+    /**
+     * Create a cooldown node that fails without running its child for a while after the child has finished.
+     *
+     * @param {string}       name
+     * @param {number}       ms      - How long the cooldown lasts, in milliseconds.
+     * @param {() => number} [clock] - Current time in milliseconds. By default time is summed from deltaTime.
+     * @returns {BehaviorTreeBuilder}
+     */
+     cooldown(name, ms, clock) {
+        return this.addParentNode(new CooldownNode(name, ms, clock));
+    }
+
+    /**
+     * Create a retry node that runs its child again when it fails.
+     *
+     * @param {string} name
+     * @param {number} attempts - How many times the child may run before the node fails.
+     * @returns {BehaviorTreeBuilder}
+     */
+     retry(name, attempts) {
+        return this.addParentNode(new RetryNode(name, attempts));
+    }
+
+    /**
+     * Create a guard node that only runs its child while a predicate is true, halting the child as soon as the
+     * predicate becomes false.
+     *
+     * @param {string}                        name
+     * @param {(state: StateData) => boolean} predicate
+     * @returns {BehaviorTreeBuilder}
+     */
+     guard(name, predicate) {
+        return this.addParentNode(new GuardNode(name, predicate));
+    }
+
+    /**
+     * Create an if node, followed by thenBranch, the nodes of the then branch, and optionally elseBranch and the
+     * nodes of the else branch. A single end closes the branch and the if node:
+     *
+     *     .if("threatened", (t) => t.blackboard.get("threat"))
+     *     .thenBranch()
+     *         .do("flee", ...)
+     *     .elseBranch()
+     *         .do("wander", ...)
+     *     .end()
+     *
+     * @param {string}                        name
+     * @param {(state: StateData) => boolean} predicate - Chooses the branch when the node starts.
+     * @returns {BehaviorTreeBuilder}
+     */
+     if(name, predicate) {
+        return this.addParentNode(new IfNode(name, predicate));
+    }
+
+    /**
+     * Open the then branch of an if node. Its nodes run in sequence.
+     *
+     * @returns {BehaviorTreeBuilder}
+     */
+     thenBranch() {
+        return this.addBranch("then", 0);
+    }
+
+    /**
+     * Close the then branch of an if node and open its else branch. Its nodes run in sequence.
+     *
+     * @returns {BehaviorTreeBuilder}
+     */
+     elseBranch() {
+        if (this.parentNodeStack.isEmpty() || !this.branches.has(this.parentNodeStack.peek())) {
+            throw new BehaviorTreeError(Errors.MISPLACED_BRANCH);
+        }
+        this.parentNodeStack.pop();
+
+        return this.addBranch("else", 1);
+    }
+
+    /**
+     * Open a branch of the if node being built.
+     *
+     * @param {string} name
+     * @param {number} index - How many branches the if node must already have.
+     * @returns {BehaviorTreeBuilder}
+     */
+     addBranch(name, index) {
+        const parent = this.parentNodeStack.isEmpty() ? undefined : this.parentNodeStack.peek();
+        if (!(parent instanceof IfNode) || parent.children.length !== index) {
+            throw new BehaviorTreeError(Errors.MISPLACED_BRANCH);
+        }
+
+        const branch = new SequenceNode(name, true);
+        this.branches.add(branch);
+
+        return this.addParentNode(branch);
+    }
+
+    /**
+     * Create a catch node that fails when its child throws, e.g. so a selector runs a fallback branch.
+     *
+     * @param {string} name
+     * @param {string} [key] - Blackboard key to store the error under.
+     * @returns {BehaviorTreeBuilder}
+     */
+     catch(name, key) {
+        return this.addParentNode(new CatchNode(name, key));
+    }
+
+    /**
+     * Create a succeeder node that succeeds whether its child succeeds or fails.
+     *
+     * @param {string} name
+     * @returns {BehaviorTreeBuilder}
+     */
+     succeeder(name) {
+        return this.addParentNode(new SucceederNode(name));
+    }
+
+    /**
+     * Create a failer node that fails whether its child succeeds or fails.
+     *
+     * @param {string} name
+     * @returns {BehaviorTreeBuilder}
+     */
+     failer(name) {
+        return this.addParentNode(new FailerNode(name));
+    }
+
+    /**
+     * Create a node that runs its child until it has succeeded a number of times.
+     *
+     * @param {string} name
+     * @param {number} count
+     * @returns {BehaviorTreeBuilder}
+     */
+     repeatN(name, count) {
+        return this.addParentNode(new RepeatNNode(name, count));
+    }
+
     /**
      * Create a sequence node.
      *
@@ -77,13 +302,14 @@ export default class BehaviorTreeBuilder {
     /**
      * Create a parallel node.
      *
-     * @param {string} name
-     * @param {number} requiredToFail
-     * @param {number} requiredToSucceed
+     * @param {string}        name
+     * @param {number|string} requiredToFail    - Number of failures, or a ParallelPolicy.
+     * @param {number|string} requiredToSucceed - Number of successes, or a ParallelPolicy.
+     * @param {boolean}       [remember]        - Skip the children that finished until the outcome is decided.
      * @returns {BehaviorTreeBuilder}
      */
-     parallel(name, requiredToFail, requiredToSucceed) {
-        return this.addParentNode(new ParallelNode(name, requiredToFail, requiredToSucceed));
+     parallel(name, requiredToFail, requiredToSucceed, remember) {
+        return this.addParentNode(new ParallelNode(name, requiredToFail, requiredToSucceed, remember));
     }
 
     /**
@@ -98,51 +324,241 @@ export default class BehaviorTreeBuilder {
     }
 
     /**
-     * Create a repeat node.
+     * Create a selector node that tries its children in a random order.
      *
-     * @param {string}  name
-     * @param {boolean} keepState
+     * @param {string}       name
+     * @param {() => number} [random] - Returns a number in [0, 1). Pass a seeded generator for reproducible runs.
      * @returns {BehaviorTreeBuilder}
      */
-     repeat(name, keepState = true) {
-        return this.addParentNode(new RepeatNode(name, keepState));
+     randomSelector(name, random) {
+        return this.addParentNode(new RandomSelectorNode(name, random));
     }
 
     /**
-     * Create a until fail node.
+     * Create a sequence node that runs its children in a random order.
      *
-     * @param {string}  name
-     * @param {boolean} keepState
+     * @param {string}       name
+     * @param {() => number} [random] - Returns a number in [0, 1). Pass a seeded generator for reproducible runs.
+     * @returns {BehaviorTreeBuilder}
+     */
+     randomSequence(name, random) {
+        return this.addParentNode(new RandomSequenceNode(name, random));
+    }
+
+    /**
+     * Create a selector node that tries its children in a random order favouring the children with a higher weight.
+     *
+     * @param {string}       name
+     * @param {number[]}     weights  - Weight of each child, in the order of the children.
+     * @param {() => number} [random] - Returns a number in [0, 1). Pass a seeded generator for reproducible runs.
+     * @returns {BehaviorTreeBuilder}
+     */
+     weightedSelector(name, weights, random) {
+        return this.addParentNode(new WeightedSelectorNode(name, weights, random));
+    }
+
+    /**
+     * Create a utility selector node, which runs its children from the highest score to the lowest. Give the
+     * children a score with the utility function.
+     *
+     * @param {string} name
+     * @param {number} [hysteresis] - How much more another child must score to replace the running child.
+     * @returns {BehaviorTreeBuilder}
+     */
+     utilitySelector(name, hysteresis) {
+        return this.addParentNode(new UtilitySelectorNode(name, hysteresis));
+    }
+
+    /**
+     * Create a decorator node that gives its child a score for a utility selector.
+     *
+     * @param {string}                       name
+     * @param {(state: StateData) => number} score
+     * @returns {BehaviorTreeBuilder}
+     */
+     utility(name, score) {
+        return this.addParentNode(new UtilityNode(name, score));
+    }
+
+    /**
+     * Create a reactive selector node that re-evaluates higher priority children on every tick.
+     *
+     * @param {string} name
+     * @returns {BehaviorTreeBuilder}
+     */
+     reactiveSelector(name) {
+        return this.addParentNode(new ReactiveSelectorNode(name));
+    }
+
+    /**
+     * Create a reactive sequence node that re-evaluates earlier children on every tick.
+     *
+     * @param {string} name
+     * @returns {BehaviorTreeBuilder}
+     */
+     reactiveSequence(name) {
+        return this.addParentNode(new ReactiveSequenceNode(name));
+    }
+
+    /**
+     * Create a repeat node that runs its children in sequence over and over, until the sequence has succeeded a
+     * number of times or fails.
+     *
+     * @param {string} name
+     * @param {number} [times]             - How many times the sequence must succeed. Forever by default.
+     * @param {number} [iterationsPerTick] - Most runs of the sequence in a tick.
+     * @returns {BehaviorTreeBuilder}
+     */
+     repeat(name, times, iterationsPerTick) {
+        return this.addParentNode(new RepeatNode(name, times, iterationsPerTick));
+    }
+
+    /**
+     * Create an until fail node that runs its children in sequence over and over, and succeeds once the sequence
+     * fails.
+     *
+     * @param {string} name
+     * @param {number} [attempts]          - How many times the sequence may succeed before the node fails.
+     * @param {number} [iterationsPerTick] - Most runs of the sequence in a tick.
+     * @returns {BehaviorTreeBuilder}
+     */
+     untilFail(name, attempts, iterationsPerTick) {
+        return this.addParentNode(new UntilFailNode(name, attempts, iterationsPerTick));
+    }
+
+    /**
+     * Create an until success node that runs its children in sequence over and over, and succeeds once the sequence
+     * succeeds.
+     *
+     * @param {string} name
+     * @param {number} [attempts]          - How many times the sequence may fail before the node fails.
+     * @param {number} [iterationsPerTick] - Most runs of the sequence in a tick.
+     * @returns {BehaviorTreeBuilder}
+     */
+     untilSuccess(name, attempts, iterationsPerTick) {
+        return this.addParentNode(new UntilSuccessNode(name, attempts, iterationsPerTick));
+    }
+
+    /**
+     * Create a node of a type registered in the node registry. Composite and decorator nodes must be closed with
+     * end, like any other parent node.
+     *
+     * @param {string} type
+     * @param {string} name
+     * @param {...*}   args - The parameters of the node.
      * @returns {BehaviorTreeBuilder}
      */
-     untilFail(name, keepState = true) {
-        return this.addParentNode(new UntilFailNode(name, keepState));
+     node(type, name, ...args) {
+        const node = this.registry.create(type, name, ...args);
+
+        return this.registry.get(type).kind === NodeKind.Leaf ? this.addLeafNode(node) : this.addParentNode(node);
     }
 
     /**
      * Splice a sub tree into the parent tree.
      *
+     * When a remapping is given, the sub tree runs with its own blackboard scoped inside the blackboard of the
+     * tree, and the remapped keys of the sub tree read and write the mapped keys of the enclosing blackboard.
+     *
      * @param {BehaviorTreeNodeInterface} subTree
+     * @param {Object<string, string>}    [remapping]
      * @returns {BehaviorTreeBuilder}
      */
-     splice(subTree) {
+     splice(subTree, remapping) {
         if (this.parentNodeStack.isEmpty()) {
             throw new BehaviorTreeError(Errors.SPLICE_UNNESTED_TREE);
         }
 
+        if (remapping) {
+            const scope = new BlackboardScopeNode(subTree.name, remapping);
+            scope.addChild(subTree);
+            subTree = scope;
+        }
+
         this.parentNodeStack.peek().addChild(subTree);
 
         return this;
     }
 
+    /**
+     * Define a subtree that can be referenced by name with the subtree function.
+     *
+     * @param {string}                    name
+     * @param {BehaviorTreeNodeInterface} tree
+     * @returns {BehaviorTreeBuilder}
+     */
+     defineSubtree(name, tree) {
+        this.subtrees.set(name, tree);
+
+        return this;
+    }
+
+    /**
+     * Reference a subtree defined with defineSubtree. Unlike splice, each reference runs its own copy of the
+     * subtree. References are resolved when the tree is built, so subtrees can be defined after they are referenced,
+     * and subtrees can reference other subtrees, but not themselves.
+     *
+     * When a remapping or parameters are given, the subtree runs with its own blackboard scoped inside the
+     * blackboard of the tree, with the parameters as its initial values.
+     *
+     * @param {string}                 name
+     * @param {Object<string, string>} [remapping]
+     * @param {Object<string, *>}      [params]
+     * @returns {BehaviorTreeBuilder}
+     */
+     subtree(name, remapping, params) {
+        if (this.parentNodeStack.isEmpty()) {
+            throw new BehaviorTreeError(Errors.SPLICE_UNNESTED_TREE);
+        }
+
+        this.parentNodeStack.peek().addChild(new SubtreeNode(name, name, remapping, params));
+
+        return this;
+    }
+
+    /**
+     * Give the unresolved subtree references of a tree a copy of the subtree they reference. References to subtrees
+     * that aren't defined are left unresolved, so that a tree defined as a subtree can reference subtrees defined in
+     * the builder it is used in.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {string[]}                  expanding - Names of the subtrees being copied, to detect recursion.
+     */
+     resolveSubtrees(tree, expanding = []) {
+        TreeWalker.walk(tree, (node) => {
+            if (!(node instanceof SubtreeNode) || node.childNode || !this.subtrees.has(node.subtree)) {
+                return;
+            }
+            if (expanding.includes(node.subtree)) {
+                throw new BehaviorTreeError(Errors.RECURSIVE_SUBTREE, {path: [...expanding, node.subtree].join("/")});
+            }
+
+            const copy = TreeWalker.copy(this.subtrees.get(node.subtree));
+            this.resolveSubtrees(copy, [...expanding, node.subtree]);
+            node.addChild(copy);
+        });
+    }
+
     /**
      * Build the actual tree
+     *
+     * In strict mode, the tree is validated and an error listing all of its problems is thrown if it isn't valid,
+     * including references to subtrees that aren't defined. Otherwise these throw when they are ticked.
+     *
+     * @param {{strict: boolean}} [options]
      * @returns {BehaviorTreeNodeInterface}
      */
-     build() {
+     build(options = {}) {
+            if (!this.parentNodeStack.isEmpty()) {
+                throw new BehaviorTreeError(Errors.UNCLOSED_NODE, {path: this.openPath()});
+            }
             if (!this.curNode) {
                 throw new BehaviorTreeError(Errors.NO_NODES);
             }
+            this.resolveSubtrees(this.curNode);
+            if (options.strict) {
+                TreeValidator.assertValid(this.curNode, this.registry);
+            }
 
             return this.curNode;
     }
@@ -153,7 +569,39 @@ export default class BehaviorTreeBuilder {
      * @returns {BehaviorTreeBuilder}
      */
      end() {
+        if (this.parentNodeStack.isEmpty()) {
+            throw new BehaviorTreeError(Errors.UNBALANCED_END);
+        }
+
         this.curNode = this.parentNodeStack.pop();
+        if (this.branches.has(this.curNode)) {
+            this.curNode = this.parentNodeStack.pop();
+        }
+
+        return this;
+    }
+
+    /**
+     * The path of the innermost node that hasn't been closed yet.
+     *
+     * @returns {string}
+     */
+     openPath() {
+        return this.parentNodeStack.toArray().map((n) => n.name).join("/");
+    }
+
+    /**
+     * Adds a leaf node to the current parent node
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {BehaviorTreeBuilder}
+     */
+     addLeafNode(node) {
+        if (this.parentNodeStack.isEmpty()) {
+            throw new BehaviorTreeError(Errors.UNNESTED_ACTION_NODE);
+        }
+
+        this.parentNodeStack.peek().addChild(node);
 
         return this;
     }
@@ -0,0 +1,196 @@
+/**
+ * Ticks the trees of many agents from the update loop of a simulation.
+ *
+ * Agents are ticked at most at the given frequency. When a time budget is given, an update stops ticking agents once
+ * the budget is spent, and the next update carries on with the agents that are still due, so the work of a round is
+ * spread across frames. Each agent is given the time since it was last ticked as its delta time.
+ *
+ * @property {TreeInstance[]} instances - The agents, in the order they are ticked.
+ * @property {number}         interval  - Milliseconds between two ticks of an agent. Zero ticks agents every update.
+ * @property {number}         budget    - Milliseconds an update may spend ticking agents.
+ * @property {() => number}   clock     - Function returning the current time in milliseconds.
+ * @property {boolean}        paused    - Whether updates are ignored.
+ */
+export default class BehaviorTreeRunner {
+    instances = [];
+    interval;
+    budget;
+    clock;
+    paused = false;
+
+    /**
+     * Milliseconds since each agent was last ticked.
+     *
+     * @type {Map<TreeInstance, number>}
+     */
+    elapsed = new Map();
+
+    /**
+     * Status returned by the last tick of each agent.
+     *
+     * @type {Map<TreeInstance, BehaviorTreeStatus>}
+     */
+    statuses = new Map();
+
+    /**
+     * Index of the agent the next update starts from.
+     *
+     * @type {number}
+     */
+    cursor = 0;
+
+    /**
+     * @param {{frequency: number, budget: number, clock: () => number}} [options] - Ticks per second of each agent,
+     *                                                                               milliseconds per update, and clock.
+     */
+    constructor({frequency = 0, budget = Infinity, clock = () => Date.now()} = {}) {
+        this.interval = frequency > 0 ? 1000 / frequency : 0;
+        this.budget = budget;
+        this.clock = clock;
+    }
+
+    /**
+     * @param {TreeInstance} instance
+     * @returns {TreeInstance}
+     */
+    add(instance) {
+        this.instances.push(instance);
+        this.elapsed.set(instance, 0);
+
+        return instance;
+    }
+
+    /**
+     * Stop ticking an agent, halting its running nodes.
+     *
+     * @param {TreeInstance} instance
+     */
+    remove(instance) {
+        const index = this.instances.indexOf(instance);
+        if (index === -1) {
+            return;
+        }
+
+        this.instances.splice(index, 1);
+        if (index < this.cursor) {
+            this.cursor--;
+        }
+        this.elapsed.delete(instance);
+        this.statuses.delete(instance);
+        instance.halt();
+    }
+
+    /**
+     * Tick the agents that are due, within the time budget. Does nothing while paused.
+     *
+     * @param {number} deltaTime - Milliseconds since the last update.
+     * @returns {Promise<void>}
+     */
+    async update(deltaTime) {
+        if (this.paused) {
+            return;
+        }
+
+        for (const instance of this.schedule(deltaTime)) {
+            this.statuses.set(instance, await instance.tick(this.take(instance)));
+        }
+    }
+
+    /**
+     * Synchronous version of update, for trees whose nodes don't return promises.
+     *
+     * @param {number} deltaTime - Milliseconds since the last update.
+     */
+    updateSync(deltaTime) {
+        if (this.paused) {
+            return;
+        }
+
+        for (const instance of this.schedule(deltaTime)) {
+            this.statuses.set(instance, instance.tickSync(this.take(instance)));
+        }
+    }
+
+    /**
+     * Notify every agent of an external event, waking up the agents waiting for it.
+     *
+     * @param {string} event
+     */
+    emit(event) {
+        this.instances.forEach((i) => i.emit(event));
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Tick every agent once, regardless of the frequency, the budget and whether the runner is paused.
+     *
+     * @param {number} [deltaTime] - Milliseconds to pass to the agents, the interval by default.
+     * @returns {Promise<void>}
+     */
+    async step(deltaTime = this.interval) {
+        for (const instance of [...this.instances]) {
+            this.elapsed.set(instance, 0);
+            this.statuses.set(instance, await instance.tick(deltaTime));
+        }
+    }
+
+    /**
+     * Synchronous version of step.
+     *
+     * @param {number} [deltaTime] - Milliseconds to pass to the agents, the interval by default.
+     */
+    stepSync(deltaTime = this.interval) {
+        for (const instance of [...this.instances]) {
+            this.elapsed.set(instance, 0);
+            this.statuses.set(instance, instance.tickSync(deltaTime));
+        }
+    }
+
+    /**
+     * Add the time of an update to every agent, and yield the agents that are due, round robin from the cursor,
+     * until they have all been visited or the budget is spent. At least one due agent is yielded per update.
+     *
+     * @param {number} deltaTime
+     * @returns {IterableIterator<TreeInstance>}
+     */
+    *schedule(deltaTime) {
+        this.instances.forEach((i) => this.elapsed.set(i, this.elapsed.get(i) + deltaTime));
+
+        const start = this.clock();
+        const count = this.instances.length;
+        for (let visited = 0; visited < count && this.instances.length > 0; visited++) {
+            this.cursor %= this.instances.length;
+            const instance = this.instances[this.cursor];
+            if (this.elapsed.get(instance) < this.interval) {
+                this.cursor++;
+                continue;
+            }
+
+            this.cursor++;
+            yield instance;
+            if (this.clock() - start >= this.budget) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * The time since an agent was last ticked, which is reset.
+     *
+     * @param {TreeInstance} instance
+     * @returns {number}
+     */
+    take(instance) {
+        const deltaTime = this.elapsed.get(instance);
+        this.elapsed.set(instance, 0);
+
+        return deltaTime;
+    }
+}
@@ -0,0 +1,268 @@
+import BehaviorTreeError from "./Error/BehaviorTreeError.js";
+import Errors from "./Error/Errors.js";
+
+/**
+ * Blackboards created by Blackboard.of, keyed by the object that stores their values.
+ *
+ * @type {WeakMap<object, Blackboard>}
+ */
+const blackboards = new WeakMap();
+
+/**
+ * Whether an object has a property of its own, so that keys like "toString" aren't found on Object.prototype.
+ *
+ * @param {object} object
+ * @param {string} key
+ * @returns {boolean}
+ */
+function owns(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Key/value store shared by the nodes of a tree.
+ *
+ * A blackboard can be scoped inside a parent blackboard: reads fall back to the parent, writes stay local, and
+ * remapped keys read and write a differently named key of the parent. This lets a sub-tree be reused with
+ * different keys.
+ *
+ * @property {object}                 data      - Values stored directly on this blackboard.
+ * @property {Blackboard}             parent    - The enclosing blackboard, if this is a scope.
+ * @property {Object<string, string>} remapping - Local keys mapped to keys of the parent blackboard.
+ */
+export default class Blackboard {
+    data;
+    parent;
+    remapping;
+
+    /**
+     * Declared types of keys, either a typeof string or a constructor.
+     *
+     * @type {Object<string, string|Function>}
+     */
+    types = {};
+
+    /**
+     * Change listeners, keyed by blackboard key. Listeners for every key are stored under "*".
+     *
+     * @type {Object<string, Function[]>}
+     */
+    listeners = {};
+
+    constructor(data = {}, parent = undefined, remapping = {}) {
+        this.data = data;
+        this.parent = parent;
+        this.remapping = remapping;
+    }
+
+    /**
+     * The blackboard storing its values in the given object. Returns the same blackboard for the same object, so
+     * listeners and scopes survive creating a new StateData on every tick.
+     *
+     * @param {object} data
+     * @returns {Blackboard}
+     */
+    static of(data) {
+        let blackboard = blackboards.get(data);
+        if (!blackboard) {
+            blackboard = new Blackboard(data);
+            blackboards.set(data, blackboard);
+        }
+
+        return blackboard;
+    }
+
+    /**
+     * Create a child blackboard scoped inside this one.
+     *
+     * @param {Object<string, string>} remapping - Keys of the child mapped to keys of this blackboard.
+     * @returns {Blackboard}
+     */
+    createScope(remapping = {}) {
+        return new Blackboard({}, this, remapping);
+    }
+
+    /**
+     * Declare the type of a key. Values set for the key are checked against it.
+     *
+     * @param {string}          key
+     * @param {string|Function} type         - A typeof string such as "number", or a class.
+     * @param {*}               [defaultValue] - Value to set when the key has no value yet.
+     * @returns {Blackboard}
+     */
+    define(key, type, defaultValue) {
+        if (this.isRemapped(key)) {
+            this.parent.define(this.remapping[key], type, defaultValue);
+
+            return this;
+        }
+
+        this.types[key] = type;
+        if (defaultValue !== undefined && !this.has(key)) {
+            this.set(key, defaultValue);
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*}      [defaultValue] - Returned when the key has no value.
+     * @returns {*}
+     */
+    get(key, defaultValue) {
+        if (this.isRemapped(key)) {
+            return this.parent.get(this.remapping[key], defaultValue);
+        }
+        if (owns(this.data, key)) {
+            return this.data[key];
+        }
+        if (this.parent) {
+            return this.parent.get(key, defaultValue);
+        }
+
+        return defaultValue;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*}      value
+     * @returns {Blackboard}
+     */
+    set(key, value) {
+        if (this.isRemapped(key)) {
+            this.parent.set(this.remapping[key], value);
+
+            return this;
+        }
+
+        const type = this.typeOf(key);
+        if (type !== undefined && !Blackboard.matches(value, type)) {
+            throw new BehaviorTreeError(Errors.BLACKBOARD_TYPE_MISMATCH);
+        }
+
+        const previous = this.data[key];
+        this.data[key] = value;
+        if (previous !== value) {
+            this.notify(key, value, previous);
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        if (this.isRemapped(key)) {
+            return this.parent.has(this.remapping[key]);
+        }
+
+        return owns(this.data, key) || (!!this.parent && this.parent.has(key));
+    }
+
+    /**
+     * Remove a key stored on this blackboard. Values of the parent are left untouched unless the key is remapped.
+     *
+     * @param {string} key
+     * @returns {boolean} Whether there was a value to delete.
+     */
+    delete(key) {
+        if (this.isRemapped(key)) {
+            return this.parent.delete(this.remapping[key]);
+        }
+        if (!owns(this.data, key)) {
+            return false;
+        }
+
+        const previous = this.data[key];
+        delete this.data[key];
+        this.notify(key, undefined, previous);
+
+        return true;
+    }
+
+    /**
+     * Listen for changes of a key, or of every key when no key is given. The listener of a key a scope reads from its
+     * parent also hears the changes of the parent, as long as the scope doesn't store a value of its own.
+     *
+     * @param {string|Function} key
+     * @param {(key: string, value: *, previous: *) => void} [listener]
+     * @returns {() => void} Function removing the listener.
+     */
+    onChange(key, listener) {
+        if (typeof key === "function") {
+            return this.addListener("*", key);
+        }
+        if (this.isRemapped(key)) {
+            return this.parent.onChange(this.remapping[key], listener);
+        }
+
+        const removeLocal = this.addListener(key, listener);
+        if (!this.parent) {
+            return removeLocal;
+        }
+
+        const removeParent = this.parent.onChange(key, (...change) => {
+            if (!owns(this.data, key)) {
+                listener(...change);
+            }
+        });
+
+        return () => {
+            removeLocal();
+            removeParent();
+        };
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isRemapped(key) {
+        return !!this.parent && owns(this.remapping, key);
+    }
+
+    /**
+     * Find the declared type of a key on this blackboard or its parents.
+     *
+     * @param {string} key
+     * @returns {string|Function|undefined}
+     */
+    typeOf(key) {
+        if (owns(this.types, key)) {
+            return this.types[key];
+        }
+
+        return this.parent ? this.parent.typeOf(key) : undefined;
+    }
+
+    addListener(key, listener) {
+        (this.listeners[key] = owns(this.listeners, key) ? this.listeners[key] : []).push(listener);
+
+        return () => {
+            this.listeners[key] = this.listeners[key].filter((l) => l !== listener);
+        };
+    }
+
+    notify(key, value, previous) {
+        const listeners = owns(this.listeners, key) ? this.listeners[key] : [];
+        for (const listener of listeners.concat(this.listeners["*"] || [])) {
+            listener(key, value, previous);
+        }
+    }
+
+    /**
+     * @param {*}               value
+     * @param {string|Function} type
+     * @returns {boolean}
+     */
+    static matches(value, type) {
+        if (value === undefined || value === null) {
+            return true;
+        }
+
+        return typeof type === "function" ? value instanceof type : typeof value === type;
+    }
+}
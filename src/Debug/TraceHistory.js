@@ -0,0 +1,115 @@
+import TraceEventType from "../TraceEventType.js";
+
+/**
+ * Records what happened in each tick of a traced tree: the status every ticked node returned, keyed by path.
+ * Nodes that were halted during a tick are recorded as TraceEventType.Halt.
+ *
+ * The ticks of each tree instance sharing the tree are recorded apart. Give an instance to only record its ticks.
+ *
+ * @property {Tracer}       tracer   - The tracer the history listens to.
+ * @property {number}       limit    - Number of ticks kept. Older ticks are dropped.
+ * @property {TreeInstance} instance - The only tree instance whose ticks are recorded, if any.
+ */
+export default class TraceHistory {
+    tracer;
+    limit;
+    instance;
+
+    /**
+     * Recorded ticks, oldest first, with the tree instance that was ticked.
+     *
+     * @type {{tick: number, instance: TreeInstance, statuses: Map<string, string>}[]}
+     */
+    ticks = [];
+
+    /**
+     * Listeners invoked when a tick has been recorded.
+     *
+     * @type {((history: TraceHistory) => void)[]}
+     */
+    listeners = [];
+
+    /**
+     * Removes the listener from the tracer.
+     */
+    unsubscribe;
+
+    constructor(tracer, limit = 500, instance = undefined) {
+        this.tracer = tracer;
+        this.limit = limit;
+        this.instance = instance;
+        this.unsubscribe = tracer.on((event) => this.record(event));
+    }
+
+    /**
+     * @returns {number}
+     */
+    get length() {
+        return this.ticks.length;
+    }
+
+    /**
+     * The recorded tick at an index, where 0 is the oldest recorded tick.
+     *
+     * @param {number} index
+     * @returns {{tick: number, instance: TreeInstance, statuses: Map<string, string>}|undefined}
+     */
+    at(index) {
+        return this.ticks[index];
+    }
+
+    /**
+     * Listen for recorded ticks.
+     *
+     * @param {(history: TraceHistory) => void} listener
+     * @returns {() => void} Function removing the listener.
+     */
+    on(listener) {
+        this.listeners.push(listener);
+
+        return () => {
+            this.listeners = this.listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Stop recording.
+     */
+    stop() {
+        this.unsubscribe();
+    }
+
+    /**
+     * @param {object} event - A trace event.
+     */
+    record(event) {
+        const instance = event.state.instance;
+        if (event.type === TraceEventType.Enter || (this.instance && instance !== this.instance)) {
+            return;
+        }
+
+        let current = [...this.ticks].reverse().find((t) => t.instance === instance);
+        if (!current || current.tick !== event.tick) {
+            current = {tick: event.tick, instance, statuses: new Map()};
+            this.ticks.push(current);
+            if (this.ticks.length > this.limit) {
+                this.ticks.shift();
+            }
+        }
+
+        if (event.type === TraceEventType.Exit) {
+            // An error turned into a status by the error policy stays visible.
+            if (current.statuses.get(event.path) !== TraceEventType.Error) {
+                current.statuses.set(event.path, event.status);
+            }
+        } else if (event.type === TraceEventType.Halt) {
+            current.statuses.set(event.path, TraceEventType.Halt);
+        } else {
+            current.statuses.set(event.path, TraceEventType.Error);
+        }
+
+        if (event.node === this.tracer.tree && event.type !== TraceEventType.Halt) {
+            this.listeners.forEach((l) => l(this));
+        }
+    }
+}
@@ -0,0 +1,184 @@
+import NodeRegistry from "../NodeRegistry.js";
+import TreeWalker from "../TreeWalker.js";
+import TraceHistory from "./TraceHistory.js";
+
+/**
+ * Styles shared by every visualizer of a document.
+ */
+const styles = `
+.bt-visualizer { font: 12px/1.4 monospace; color: #222; }
+.bt-visualizer .bt-controls { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; }
+.bt-visualizer .bt-controls input[type=range] { flex: 1; }
+.bt-visualizer ul { list-style: none; margin: 0; padding-left: 18px; border-left: 1px dotted #999; }
+.bt-visualizer > ul { border-left: none; padding-left: 0; }
+.bt-visualizer li { margin: 2px 0; }
+.bt-visualizer summary { cursor: pointer; }
+.bt-visualizer .bt-node { display: inline-block; padding: 1px 6px; border-radius: 3px; background: #eee; }
+.bt-visualizer .bt-type { color: #666; margin-right: 4px; }
+.bt-visualizer .bt-SUCCESS { background: #a5d6a7; }
+.bt-visualizer .bt-FAILURE { background: #ef9a9a; }
+.bt-visualizer .bt-RUNNING { background: #ffe082; }
+.bt-visualizer .bt-HALT { background: #b0bec5; text-decoration: line-through; }
+.bt-visualizer .bt-ERROR { background: #e53935; color: #fff; }
+`;
+
+/**
+ * Debugging component rendering a tree in the browser as a collapsible graph. Each node is colored by the status it
+ * returned in a tick. The ticks recorded by a tracer can be scrubbed through, or followed live as they happen.
+ *
+ * The component only uses the DOM of the document it is mounted in.
+ */
+export default class TreeVisualizer {
+    container;
+    tree;
+    history;
+    nodeRegistry;
+
+    /**
+     * Index of the shown tick in the history, or -1 to follow the latest tick.
+     */
+    selected = -1;
+
+    /**
+     * Node label elements, keyed by path.
+     *
+     * @type {Map<string, HTMLElement>}
+     */
+    labels = new Map();
+
+    root;
+    slider;
+    tickLabel;
+    liveCheckbox;
+    unsubscribe;
+
+    /**
+     * @param {HTMLElement}               container
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {Tracer}                    tracer                 - A tracer attached to the tree.
+     * @param {object}                    [options]
+     * @param {number}                    [options.historyLength] - Number of ticks that can be scrubbed through.
+     * @param {NodeRegistry}              [options.nodeRegistry]  - Used to show the type of each node.
+     * @param {TreeInstance}              [options.instance]      - Only show the ticks of this tree instance.
+     */
+    constructor(container, tree, tracer, {historyLength = 500, nodeRegistry = NodeRegistry.default, instance} = {}) {
+        this.container = container;
+        this.tree = tree;
+        this.nodeRegistry = nodeRegistry;
+        this.history = new TraceHistory(tracer, historyLength, instance);
+        this.unsubscribe = this.history.on(() => this.update());
+        this.render();
+    }
+
+    /**
+     * Show a recorded tick.
+     *
+     * @param {number} index - Index in the history, or -1 to follow the latest tick.
+     */
+    show(index) {
+        this.selected = index;
+        this.liveCheckbox.checked = index < 0;
+        this.update();
+    }
+
+    /**
+     * Remove the component and stop recording ticks.
+     */
+    destroy() {
+        this.unsubscribe();
+        this.history.stop();
+        this.container.removeChild(this.root);
+    }
+
+    render() {
+        const document = this.container.ownerDocument;
+        this.addStyles(document);
+
+        this.root = this.element("div", "bt-visualizer");
+        const controls = this.element("div", "bt-controls");
+        this.slider = this.element("input");
+        this.slider.type = "range";
+        this.slider.min = "0";
+        this.slider.addEventListener("input", () => this.show(Number(this.slider.value)));
+        this.tickLabel = this.element("span");
+        const live = this.element("label");
+        this.liveCheckbox = this.element("input");
+        this.liveCheckbox.type = "checkbox";
+        this.liveCheckbox.checked = true;
+        this.liveCheckbox.addEventListener("change", () => this.show(this.liveCheckbox.checked ? -1 : this.history.length - 1));
+        live.append(this.liveCheckbox, "live");
+        controls.append(this.slider, this.tickLabel, live);
+
+        const list = this.element("ul");
+        list.appendChild(this.renderNode(this.tree));
+        this.root.append(controls, list);
+        this.container.appendChild(this.root);
+        this.update();
+    }
+
+    renderNode(node, parentPath) {
+        const path     = TreeWalker.pathOf(node, parentPath);
+        const children = TreeWalker.childrenOf(node);
+        const item     = this.element("li");
+        const label    = this.element("span", "bt-node");
+        const type     = this.nodeRegistry.typeOf(node);
+        label.title = path;
+        label.append(this.element("span", "bt-type", type ? type.type : node.constructor.name), String(node.name));
+        this.labels.set(path, label);
+
+        if (children.length === 0) {
+            item.appendChild(label);
+
+            return item;
+        }
+
+        const details = this.element("details");
+        const summary = this.element("summary");
+        const list    = this.element("ul");
+        details.open = true;
+        summary.appendChild(label);
+        children.forEach((c) => list.appendChild(this.renderNode(c, path)));
+        details.append(summary, list);
+        item.appendChild(details);
+
+        return item;
+    }
+
+    update() {
+        const length = this.history.length;
+        const index  = this.selected < 0 ? length - 1 : Math.min(this.selected, length - 1);
+        const entry  = this.history.at(index);
+
+        this.slider.max = String(Math.max(length - 1, 0));
+        this.slider.value = String(Math.max(index, 0));
+        this.tickLabel.textContent = entry ? `tick #${entry.tick}` : "no ticks";
+
+        for (const [path, label] of this.labels) {
+            const status = entry && entry.statuses.get(path);
+            label.className = status ? `bt-node bt-${status}` : "bt-node";
+        }
+    }
+
+    element(tag, className, text) {
+        const element = this.container.ownerDocument.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+
+        return element;
+    }
+
+    addStyles(document) {
+        if (document.getElementById("bt-visualizer-styles")) {
+            return;
+        }
+
+        const style = document.createElement("style");
+        style.id = "bt-visualizer-styles";
+        style.textContent = styles;
+        document.head.appendChild(style);
+    }
+}
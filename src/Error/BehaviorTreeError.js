@@ -1,2 +1,10 @@
 export default class BehaviorTreeError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details] - Added to the error. The path of the node, if any, is appended to the message.
+     */
+    constructor(message, details = {}) {
+        super(details.path === undefined ? message : `${message} (${details.path})`);
+        Object.assign(this, details);
+    }
 }
@@ -1,10 +1,40 @@
 class Errors {
-    static NO_NODES                   = "Cannot create a behavior tree with zero nodes."
-    static SPLICE_UNNESTED_TREE       = "Cannot splice an unnested sub-tree. There must be a parent-tree."
-    static INVERTER_NO_CHILDREN       = "InverterNode must have a child node!"
-    static INVERTER_MULTIPLE_CHILDREN = "Can't add more than a single child to InverterNode!"
-    static UNNESTED_ACTION_NODE       = "Can't create an unnested ActionNode. It must be a leaf node."
-    static NO_RETURN_VALUE            = "Node must return a BehaviorTreeStatus"
+    static NO_NODES                    = "Cannot create a behavior tree with zero nodes."
+    static UNCLOSED_NODE               = "Cannot build a behavior tree with a node that wasn't closed with end()."
+    static UNBALANCED_END              = "Called end() without a node to close."
+    static INVALID_TREE                = "The behavior tree is invalid:"
+    static EMPTY_COMPOSITE             = "Composite node has no children."
+    static ACTION_NO_FUNCTION          = "Action node has no function."
+    static DUPLICATE_NODE_PATH         = "Another node has the same path. Give sibling nodes distinct names."
+    static SPLICE_UNNESTED_TREE        = "Cannot splice an unnested sub-tree. There must be a parent-tree."
+    static INVERTER_NO_CHILDREN        = "InverterNode must have a child node!"
+    static INVERTER_MULTIPLE_CHILDREN  = "Can't add more than a single child to InverterNode!"
+    static UNNESTED_ACTION_NODE        = "Can't create an unnested ActionNode. It must be a leaf node."
+    static NO_RETURN_VALUE             = "Node must return a BehaviorTreeStatus"
+    static BLACKBOARD_TYPE_MISMATCH    = "Blackboard value does not match the type declared for its key."
+    static DECORATOR_NO_CHILDREN       = "Decorator node must have a child node!"
+    static DECORATOR_MULTIPLE_CHILDREN = "Can't add more than a single child to a decorator node!"
+    static IF_MULTIPLE_BRANCHES        = "Can't add more than a then and an else branch to IfNode!"
+    static MISPLACED_BRANCH            = "thenBranch() must follow if(), and elseBranch() must follow the then branch."
+    static SCOPE_NO_CHILDREN           = "BlackboardScopeNode must have a child node!"
+    static SCOPE_MULTIPLE_CHILDREN     = "Can't add more than a single child to BlackboardScopeNode!"
+    static UNSERIALIZABLE_NODE         = "Can't serialize a node of an unknown type."
+    static UNKNOWN_NODE_TYPE           = "Unknown behavior tree node type."
+    static DUPLICATE_NODE_TYPE         = "A node type is already registered under this name."
+    static INVALID_COUNT               = "Node count must be a positive whole number."
+    static INVALID_WEIGHT              = "Node weights must be finite numbers, zero or more."
+    static INVALID_DURATION            = "Node duration must be a number of milliseconds, zero or more."
+    static PARALLEL_THRESHOLD_TOO_HIGH = "ParallelNode can't require more children than it has."
+    static UNKNOWN_SUBTREE             = "No subtree defined under this name."
+    static RECURSIVE_SUBTREE           = "Subtree references itself."
+    static UNKNOWN_ACTION              = "No implementation registered for the action or condition."
+    static INVALID_SYNTAX              = "Can't read the line of the behavior tree text."
+    static INVALID_INDENTATION         = "Line isn't indented like the siblings of its node."
+    static MULTIPLE_ROOTS              = "Behavior tree text must have a single root node."
+    static LEAF_WITH_CHILDREN          = "Leaf node can't have children."
+    static UNKNOWN_PARAMETER           = "Node type has no parameter of this name."
+    static INVALID_XML                 = "Can't read the XML of the behavior tree."
+    static UNKNOWN_CONTROL_ELEMENT     = "XML element with children isn't a known control or decorator node."
 }
 
 export default Errors;
@@ -0,0 +1,17 @@
+/**
+ * What happens when the function of a leaf node throws or rejects while a TreeInstance is ticked. Besides these
+ * values, the policy can be a handler, given the error and the state, that returns the status of the node.
+ */
+class ErrorPolicy {
+    /**
+     * The error is thrown by the tick of the tree.
+     */
+    static Propagate = "PROPAGATE"
+
+    /**
+     * The node fails, so the error can be handled like any other failure, e.g. by a selector.
+     */
+    static Fail = "FAIL"
+}
+
+export default ErrorPolicy;
@@ -1,29 +1,162 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
 import BehaviorTreeError from "../Error/BehaviorTreeError.js";
 import Errors from "../Error/Errors.js";
 
 /**
  * A behavior tree leaf node for running an action
  *
- * @property {string}                                   name - The name of the node
- * @property {(state: StateData) => BehaviorTreeStatus} fn   - Function to invoke for the action.
+ * @property {string}                                   name   - The name of the node
+ * @property {(state: StateData) => BehaviorTreeStatus} fn     - Function to invoke for the action.
+ * @property {(state: StateData) => void}               onHalt - Cleanup invoked when a running action is halted.
  */
 export default class ActionNode {
     name;
     fn;
+    onHalt;
+
      constructor(
           name,
           fn,
+          onHalt,
     ) {
         this.name = name;
         this.fn = fn;
+        this.onHalt = onHalt;
     }
 
      async tick(state) {
-        const result = await this.fn(state);
+        const memory = state.memoryOf(this);
+
+        try {
+            return this.finish(memory, await this.run(state, memory));
+        } catch (error) {
+            return this.fail(state, memory, error);
+        }
+    }
+
+    /**
+     * Synchronous version of tick. When the action returns a promise, the node returns Running until the promise
+     * settles, and returns the settled status on the first tick after that.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        const memory = state.memoryOf(this);
+
+        try {
+            if (memory.pending) {
+                return this.settle(memory);
+            }
+
+            const result = this.run(state, memory);
+            if (result && typeof result.then === "function") {
+                memory.pending = this.track(result);
+                memory.running = true;
+
+                return BehaviorTreeStatus.Running;
+            }
+
+            return this.finish(memory, result);
+        } catch (error) {
+            return this.fail(state, memory, error);
+        }
+    }
+
+    /**
+     * Interrupts the action if it is running, giving it a chance to clean up.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        const memory = state.memoryOf(this);
+        if (!memory.running) {
+            return;
+        }
+
+        memory.running = false;
+        memory.pending = undefined;
+        if (this.onHalt) {
+            this.onHalt(state);
+        }
+    }
+
+    /**
+     * Invokes the action.
+     *
+     * @param {StateData} state
+     * @param {object}    memory
+     * @returns {BehaviorTreeStatus|Promise<BehaviorTreeStatus>}
+     */
+     run(state, memory) {
+        return this.fn(state);
+    }
+
+    /**
+     * Checks the status returned by the action and remembers whether it is running.
+     *
+     * @param {object}             memory
+     * @param {BehaviorTreeStatus} result
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(memory, result) {
         if (!result) {
             throw new BehaviorTreeError(Errors.NO_RETURN_VALUE);
         }
 
+        memory.running = result === BehaviorTreeStatus.Running;
+
         return result;
     }
+
+    /**
+     * Forgets the run that threw, and lets the error policy decide the status of the node.
+     *
+     * @param {StateData} state
+     * @param {object}    memory
+     * @param {*}         error
+     * @returns {BehaviorTreeStatus}
+     */
+     fail(state, memory, error) {
+        memory.running = false;
+        memory.pending = undefined;
+
+        return state.handleError(this, error);
+    }
+
+    /**
+     * Wraps a promise returned by the action in an object that records its outcome once it settles.
+     *
+     * @param {Promise<BehaviorTreeStatus>} promise
+     * @returns {{settled: boolean, status: BehaviorTreeStatus, error: *}}
+     */
+     track(promise) {
+        const pending = {settled: false, status: undefined, error: undefined};
+        promise.then(
+            (status) => Object.assign(pending, {settled: true, status}),
+            (error) => Object.assign(pending, {settled: true, error: error || new Error(String(error))}),
+        );
+
+        return pending;
+    }
+
+    /**
+     * Status of a tick while a promise returned by the action is pending.
+     *
+     * @param {object} memory
+     * @returns {BehaviorTreeStatus}
+     */
+     settle(memory) {
+        const pending = memory.pending;
+        if (!pending.settled) {
+            return BehaviorTreeStatus.Running;
+        }
+
+        memory.pending = undefined;
+        if (pending.error) {
+            throw pending.error;
+        }
+
+        return this.finish(memory, pending.status);
+    }
 }
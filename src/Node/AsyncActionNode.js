@@ -0,0 +1,61 @@
+import ActionNode from "./ActionNode.js";
+
+/**
+ * A behavior tree leaf node for an action that takes longer than a tick, such as a pathfinding request.
+ *
+ * The node starts the action and returns Running until the promise it returns settles, without blocking the tick.
+ * The status the promise settles with is returned by the next tick. The action is given an AbortSignal, which is
+ * aborted when the node is halted while the action is pending.
+ *
+ * @property {string}                                                                 name - The name of the node
+ * @property {(state: StateData, signal: AbortSignal) => Promise<BehaviorTreeStatus>} fn   - Function to invoke.
+ */
+export default class AsyncActionNode extends ActionNode {
+     async tick(state) {
+        return this.poll(state);
+    }
+
+     tickSync(state) {
+        return this.poll(state);
+    }
+
+    /**
+     * Starts the action, or checks whether the action started by a previous tick has settled.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     poll(state) {
+        const memory = state.memoryOf(this);
+        if (!memory.pending) {
+            memory.controller = new AbortController();
+        }
+
+        return super.tickSync(state);
+    }
+
+    /**
+     * Invokes the action with the signal of the current run.
+     *
+     * @param {StateData} state
+     * @param {object}    memory
+     * @returns {Promise<BehaviorTreeStatus>}
+     */
+     run(state, memory) {
+        return this.fn(state, memory.controller.signal);
+    }
+
+    /**
+     * Aborts the pending action and gives it a chance to clean up.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        const memory = state.memoryOf(this);
+        if (memory.pending) {
+            memory.controller.abort();
+        }
+
+        super.halt(state);
+    }
+}
@@ -0,0 +1,93 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that runs its child with a child blackboard scoped inside the blackboard of the tree.
+ *
+ * @property {string}                 name      - The name of the node
+ * @property {Object<string, string>} remapping - Keys of the scope mapped to keys of the enclosing blackboard.
+ */
+export default class BlackboardScopeNode {
+    /**
+     * The child to run inside the scope
+     */
+     childNode;
+     name;
+     remapping;
+
+     constructor(name, remapping = {}) {
+         this.name = name;
+         this.remapping = remapping;
+    }
+
+     async tick(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.SCOPE_NO_CHILDREN);
+        }
+
+        return await this.childNode.tick(this.scopedState(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.SCOPE_NO_CHILDREN);
+        }
+
+        return this.childNode.tickSync(this.scopedState(state));
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(this.scopedState(state));
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.SCOPE_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+
+    /**
+     * The state passed to the child, using the scope that belongs to the blackboard of the given state. The scopes
+     * created so far are kept in the memory of the node, keyed by the enclosing blackboard.
+     *
+     * @param {StateData} state
+     * @returns {StateData}
+     */
+     scopedState(state) {
+        const memory = state.memoryOf(this);
+        memory.scopes = memory.scopes || new WeakMap();
+
+        let scope = memory.scopes.get(state.blackboard);
+        if (!scope) {
+            scope = this.createScope(state.blackboard);
+            memory.scopes.set(state.blackboard, scope);
+        }
+
+        return state.withBlackboard(scope);
+    }
+
+    /**
+     * Create the scope used inside the given blackboard.
+     *
+     * @param {Blackboard} blackboard
+     * @returns {Blackboard}
+     */
+     createScope(blackboard) {
+        return blackboard.createScope(this.remapping);
+    }
+}
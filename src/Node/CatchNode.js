@@ -0,0 +1,89 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that fails when its child throws, halting the child, so a selector can run a fallback branch
+ * instead of the whole tick being aborted.
+ *
+ * @property {string} name - The name of the node
+ * @property {string} key  - Blackboard key the error is stored under, if any, for the fallback branch to inspect.
+ */
+export default class CatchNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     key;
+
+     constructor(name, key) {
+         this.name = name;
+         this.key = key;
+    }
+
+     async tick(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        try {
+            return await this.childNode.tick(state);
+        } catch (error) {
+            return this.recover(state, error);
+        }
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        try {
+            return this.childNode.tickSync(state);
+        } catch (error) {
+            return this.recover(state, error);
+        }
+    }
+
+    /**
+     * Halts what is left running of the child and stores the error.
+     *
+     * @param {StateData} state
+     * @param {*}         error
+     * @returns {BehaviorTreeStatus}
+     */
+     recover(state, error) {
+        this.childNode.halt(state);
+        if (this.key !== undefined) {
+            state.blackboard.set(this.key, error);
+        }
+
+        return BehaviorTreeStatus.Failure;
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
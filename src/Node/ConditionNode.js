@@ -0,0 +1,31 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import ActionNode from "./ActionNode.js";
+
+/**
+ * Maps the result of a predicate to success/failure.
+ *
+ * @param {boolean} result
+ * @returns {BehaviorTreeStatus}
+ */
+function toStatus(result) {
+    return result ? BehaviorTreeStatus.Success : BehaviorTreeStatus.Failure;
+}
+
+/**
+ * A behavior tree leaf node that maps the boolean result of a predicate to success/failure.
+ *
+ * @property {string}                        name      - The name of the node
+ * @property {(state: StateData) => boolean} predicate - Function to invoke for the condition.
+ */
+export default class ConditionNode extends ActionNode {
+    predicate;
+
+     constructor(name, predicate) {
+        super(name, (state) => {
+            const result = predicate(state);
+
+            return result && typeof result.then === "function" ? result.then(toStatus) : toStatus(result);
+        });
+        this.predicate = predicate;
+    }
+}
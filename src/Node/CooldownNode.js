@@ -0,0 +1,126 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that fails without running its child for a while after the child has finished.
+ *
+ * Elapsed time is the sum of StateData.deltaTime over the ticks of the node, read as milliseconds, unless a clock
+ * is given.
+ *
+ * @property {string}       name  - The name of the node
+ * @property {number}       ms    - How long the cooldown lasts, in milliseconds, zero or more.
+ * @property {() => number} clock - Optional function returning the current time in milliseconds.
+ */
+export default class CooldownNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     ms;
+     clock;
+
+     constructor(name, ms, clock) {
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new BehaviorTreeError(Errors.INVALID_DURATION);
+        }
+
+         this.name = name;
+         this.ms = ms;
+         this.clock = clock;
+    }
+
+     async tick(state) {
+        return this.start(state) || this.finish(state, await this.childNode.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        return this.start(state) || this.finish(state, this.childNode.tickSync(state));
+    }
+
+    /**
+     * Nothing when the child may run. Otherwise fails until the cooldown ends.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     start(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        // Milliseconds left before the child can run again, and the time the cooldown started at when a clock is
+        // used.
+        const memory = state.memoryOf(this);
+        if (memory.remaining !== undefined) {
+            memory.remaining = this.clock
+                ? this.ms - (this.clock() - memory.startTime)
+                : memory.remaining - state.deltaTime;
+            if (memory.remaining > 0) {
+                this.wakeAfter(state, memory.remaining);
+
+                return BehaviorTreeStatus.Failure;
+            }
+
+            memory.remaining = undefined;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Starts the cooldown once the child has finished.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state, status) {
+        if (status !== BehaviorTreeStatus.Running) {
+            const memory = state.memoryOf(this);
+            memory.remaining = this.ms;
+            memory.startTime = this.clock ? this.clock() : undefined;
+            this.wakeAfter(state, this.ms);
+        }
+
+        return status;
+    }
+
+    /**
+     * Wakes up a sleeping tree instance when the cooldown ends, so the child can run again.
+     *
+     * @param {StateData} state
+     * @param {number}    ms
+     */
+     wakeAfter(state, ms) {
+        if (state.instance) {
+            state.instance.wakeAfter(ms);
+        }
+    }
+
+    /**
+     * Halts the child node if it is running. A cooldown that has started keeps going.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
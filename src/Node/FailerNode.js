@@ -0,0 +1,71 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that fails once its child has finished, whether the child succeeded or failed.
+ *
+ * @property {string} name - The name of the node
+ */
+export default class FailerNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+
+     constructor(name) {
+         this.name = name;
+    }
+
+     async tick(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        return this.finish(await this.childNode.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        return this.finish(this.childNode.tickSync(state));
+    }
+
+    /**
+     * Fails once the child has finished.
+     *
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(status) {
+        return status === BehaviorTreeStatus.Running ? status : BehaviorTreeStatus.Failure;
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
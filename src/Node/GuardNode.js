@@ -0,0 +1,98 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that checks a predicate on every tick, and only runs its child while it is true. When the
+ * predicate becomes false, the child is halted and the node fails. While the child is running, the tree instance stays
+ * awake to check the predicate again, even when the child only waits.
+ *
+ * @property {string}                       name      - The name of the node
+ * @property {(state: StateData) => boolean} predicate - Whether the child may run. Must be synchronous.
+ */
+export default class GuardNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     predicate;
+
+     constructor(name, predicate) {
+         this.name = name;
+         this.predicate = predicate;
+    }
+
+     async tick(state) {
+        return this.check(state) || this.finish(state, await this.childNode.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        return this.check(state) || this.finish(state, this.childNode.tickSync(state));
+    }
+
+    /**
+     * Nothing when the child may run. Otherwise halts the child and returns the status of the node: Failure, or the
+     * status given by the error policy when the predicate throws.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     check(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        let status = BehaviorTreeStatus.Failure;
+        try {
+            if (this.predicate(state)) {
+                return undefined;
+            }
+        } catch (error) {
+            status = state.handleError(this, error);
+        }
+        this.childNode.halt(state);
+
+        return status;
+    }
+
+    /**
+     * Keeps the tree instance awake while the child is running, so the predicate is checked on the next tick.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state, status) {
+        if (status === BehaviorTreeStatus.Running && state.instance) {
+            state.instance.requestTick();
+        }
+
+        return status;
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
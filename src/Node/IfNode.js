@@ -0,0 +1,112 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Runs its first child, the then branch, when a predicate is true, and its second child, the else branch, when it
+ * is false. Fails when the predicate is false and there is no else branch.
+ *
+ * The predicate is checked when the node starts, and the branch it chose runs until it finishes. Use a GuardNode to
+ * halt a branch as soon as a predicate becomes false.
+ *
+ * @property {string}                       name      - The name of the node.
+ * @property {(state: StateData) => boolean} predicate - Chooses the branch. Must be synchronous.
+ */
+export default class IfNode {
+    /**
+     * The then branch and the optional else branch.
+     *
+     * @type {BehaviorTreeNodeInterface[]}
+     */
+     children = [];
+
+     name;
+     predicate;
+
+     constructor(name, predicate) {
+        this.name = name;
+        this.predicate = predicate;
+    }
+
+    /**
+     * Throws when the node has no then branch.
+     */
+     validate() {
+        if (this.children.length === 0) {
+            throw new BehaviorTreeError(Errors.EMPTY_COMPOSITE);
+        }
+    }
+
+     async tick(state) {
+        return this.choose(state) || this.finish(state, await state.memoryOf(this).branch.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        return this.choose(state) || this.finish(state, state.memoryOf(this).branch.tickSync(state));
+    }
+
+    /**
+     * Keeps the running branch, or else remembers the branch chosen by the predicate in `memory.branch`. Returns the
+     * status of the node when there is no branch to run: Failure without an else branch, or the status given by the
+     * error policy when the predicate throws.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     choose(state) {
+        this.validate();
+
+        const memory = state.memoryOf(this);
+        if (!memory.branch) {
+            try {
+                memory.branch = this.predicate(state) ? this.children[0] : this.children[1];
+            } catch (error) {
+                return state.handleError(this, error);
+            }
+        }
+
+        return memory.branch ? undefined : BehaviorTreeStatus.Failure;
+    }
+
+    /**
+     * Forgets the chosen branch once it has finished.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state, status) {
+        if (status !== BehaviorTreeStatus.Running) {
+            state.memoryOf(this).branch = undefined;
+        }
+
+        return status;
+    }
+
+    /**
+     * Halts the running branch. The predicate is checked again on the next tick.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        const memory = state.memoryOf(this);
+        if (memory.branch) {
+            memory.branch.halt(state);
+            memory.branch = undefined;
+        }
+    }
+
+     addChild(child) {
+        if (this.children.length === 2) {
+            throw new BehaviorTreeError(Errors.IF_MULTIPLE_BRANCHES);
+        }
+
+        this.children.push(child);
+    }
+}
@@ -23,14 +23,48 @@ export default class InverterNode {
             throw new BehaviorTreeError(Errors.INVERTER_NO_CHILDREN);
         }
 
-        const result = await this.childNode.tick(state);
-        if (result === BehaviorTreeStatus.Failure) {
+        return this.finish(await this.childNode.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.INVERTER_NO_CHILDREN);
+        }
+
+        return this.finish(this.childNode.tickSync(state));
+    }
+
+    /**
+     * Swaps the success and failure of the child.
+     *
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(status) {
+        if (status === BehaviorTreeStatus.Failure) {
             return BehaviorTreeStatus.Success;
-        } else if (result === BehaviorTreeStatus.Success) {
+        } else if (status === BehaviorTreeStatus.Success) {
             return BehaviorTreeStatus.Failure;
         }
 
-        return result;
+        return status;
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
     }
 
      addChild(child) {
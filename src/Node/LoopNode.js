@@ -0,0 +1,107 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import SequenceNode from "./SequenceNode.js";
+
+/**
+ * Base of the nodes that run their children in sequence over and over, until a run of the sequence ends the loop.
+ * A running child is resumed on the next tick.
+ *
+ * Subclasses decide with `finish` whether the status of a run ends the loop, counting runs in `memory.count`. A tick
+ * runs the sequence at most `iterationsPerTick` times and then returns Running, so children that finish immediately
+ * can't keep the loop spinning inside a single tick. The tree instance then stays awake for the next tick. Counts
+ * must be positive whole numbers.
+ *
+ * @property {string} name              - The name of the node.
+ * @property {number} iterationsPerTick - Most runs of the sequence in a tick.
+ */
+export default class LoopNode extends SequenceNode {
+     iterationsPerTick;
+
+     constructor(name, iterationsPerTick = 1) {
+        if (!Number.isInteger(iterationsPerTick) || iterationsPerTick < 1) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
+
+        super(name, true);
+        this.iterationsPerTick = iterationsPerTick;
+    }
+
+     async tick(state) {
+        for (let iteration = 1; ; iteration++) {
+            const status = this.next(state, await super.tick(state), iteration);
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        for (let iteration = 1; ; iteration++) {
+            const status = this.next(state, super.tickSync(state), iteration);
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * The status of the tick after a run of the sequence, or nothing to run the sequence again in this tick.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status    - Status of the run.
+     * @param {number}             iteration - How many times the sequence has run in this tick.
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     next(state, status, iteration) {
+        if (status === BehaviorTreeStatus.Running) {
+            return status;
+        }
+
+        const memory = state.memoryOf(this);
+        memory.count = memory.count || 0;
+
+        const result = this.finish(memory, status);
+        if (result) {
+            memory.count = 0;
+
+            return result;
+        }
+
+        if (iteration < this.iterationsPerTick) {
+            return undefined;
+        }
+        if (state.instance) {
+            state.instance.requestTick();
+        }
+
+        return BehaviorTreeStatus.Running;
+    }
+
+    /**
+     * The status ending the loop after a run of the sequence, if the run ends it.
+     *
+     * @param {object}             memory
+     * @param {BehaviorTreeStatus} status - Success or Failure.
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     finish(memory, status) {
+        return undefined;
+    }
+
+    /**
+     * Halts the running child and starts the loop over on the next tick.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        super.halt(state);
+        state.memoryOf(this).count = 0;
+    }
+}
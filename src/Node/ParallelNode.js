@@ -1,11 +1,18 @@
 import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import ParallelPolicy from "../ParallelPolicy.js";
 
 /**
  * Runs child's nodes in parallel.
  *
- * @property {string} name                 - The name of the node.
- * @property {number} requiredToFail    - Number of child failures required to terminate with failure.
- * @property {number} requiredToSucceed - Number of child successes required to terminate with success.
+ * The thresholds are a number of children, or a ParallelPolicy. A threshold of zero is never reached. Once the
+ * outcome is decided, the children that are still running are halted.
+ *
+ * @property {string}        name              - The name of the node.
+ * @property {number|string} requiredToFail    - Number of child failures required to terminate with failure.
+ * @property {number|string} requiredToSucceed - Number of child successes required to terminate with success.
+ * @property {boolean}       remember          - Whether children that finished are skipped until the outcome is decided.
  */
 export default class ParallelNode  {
     /**
@@ -17,41 +24,153 @@ export default class ParallelNode  {
      name;
      requiredToFail;
      requiredToSucceed;
+     remember;
 
      constructor(
           name,
           requiredToFail,
           requiredToSucceed,
+          remember,
     ) {
         this.name = name;
         this.requiredToFail = requiredToFail;
         this.requiredToSucceed = requiredToSucceed;
+        this.remember = remember;
     }
 
      async tick(state) {
-        const statuses = await Promise.all(this.children.map((c) => this.tickChildren(state, c)));
-        const succeeded                      = statuses.filter((x) => x === BehaviorTreeStatus.Success).length;
-        const failed                         = statuses.filter((x) => x === BehaviorTreeStatus.Failure).length;
+        this.validate();
+
+        const memory  = state.memoryOf(this);
+        const results = await Promise.allSettled(
+            this.children.map((c, i) => this.isFinished(memory, i) ? memory.statuses[i] : c.tick(state)),
+        );
+
+        return this.settle(state, memory, results);
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises. Like tick, every child is ticked
+     * before an error of one of them is thrown.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        this.validate();
+
+        const memory  = state.memoryOf(this);
+        const results = this.children.map((c, i) => {
+            try {
+                const value = this.isFinished(memory, i) ? memory.statuses[i] : c.tickSync(state);
+
+                return {status: "fulfilled", value};
+            } catch (reason) {
+                return {status: "rejected", reason};
+            }
+        });
+
+        return this.settle(state, memory, results);
+    }
 
-        if (this.requiredToSucceed > 0 && succeeded >= this.requiredToSucceed) {
-            return BehaviorTreeStatus.Success;
+    /**
+     * The status of the node once every child has been ticked. When a child threw, the children are halted and the
+     * first error is thrown.
+     *
+     * @param {StateData}                                                   state
+     * @param {object}                                                      memory
+     * @param {{status: string, value?: BehaviorTreeStatus, reason?: *}[]} results - As given by Promise.allSettled.
+     * @returns {BehaviorTreeStatus}
+     */
+     settle(state, memory, results) {
+        const rejected = results.find((r) => r.status === "rejected");
+        if (rejected) {
+            this.halt(state);
+            throw rejected.reason;
+        }
+
+        return this.decide(state, memory, results.map((r) => r.value));
+    }
+
+    /**
+     * Number of children required by a threshold.
+     *
+     * @param {number|string} required
+     * @returns {number}
+     */
+     threshold(required) {
+        if (required === ParallelPolicy.RequireAll) {
+            return this.children.length;
         }
-        if (this.requiredToFail > 0 && failed >= this.requiredToFail) {
-            return BehaviorTreeStatus.Failure;
+        if (required === ParallelPolicy.RequireOne) {
+            return 1;
         }
 
-        return BehaviorTreeStatus.Running;
+        return required || 0;
     }
 
-     addChild(child) {
-        this.children.push(child);
+    /**
+     * Throws when a threshold can't be reached with the children of the node.
+     */
+     validate() {
+        if (this.threshold(this.requiredToFail) > this.children.length
+            || this.threshold(this.requiredToSucceed) > this.children.length) {
+            throw new BehaviorTreeError(Errors.PARALLEL_THRESHOLD_TOO_HIGH);
+        }
+    }
+
+    /**
+     * Whether a child finished on a previous tick and is remembered.
+     *
+     * @param {object} memory
+     * @param {number} index
+     * @returns {boolean}
+     */
+     isFinished(memory, index) {
+        return !!memory.statuses && memory.statuses[index] !== BehaviorTreeStatus.Running;
     }
 
-     async tickChildren(state, child){
-        try {
-            return await child.tick(state);
-        } catch (e) {
-            return BehaviorTreeStatus.Failure;
+    /**
+     * The status of the node given the statuses of its children. Halts the running children once it is decided.
+     *
+     * @param {StateData}            state
+     * @param {object}               memory
+     * @param {BehaviorTreeStatus[]} statuses
+     * @returns {BehaviorTreeStatus}
+     */
+     decide(state, memory, statuses) {
+        const succeeded      = statuses.filter((x) => x === BehaviorTreeStatus.Success).length;
+        const failed         = statuses.filter((x) => x === BehaviorTreeStatus.Failure).length;
+        const toSucceed      = this.threshold(this.requiredToSucceed);
+        const toFail         = this.threshold(this.requiredToFail);
+
+        let status = BehaviorTreeStatus.Running;
+        if (toSucceed > 0 && succeeded >= toSucceed) {
+            status = BehaviorTreeStatus.Success;
+        } else if (toFail > 0 && failed >= toFail) {
+            status = BehaviorTreeStatus.Failure;
         }
+
+        if (status !== BehaviorTreeStatus.Running) {
+            this.halt(state);
+        } else if (this.remember) {
+            memory.statuses = statuses;
+        }
+
+        return status;
+    }
+
+    /**
+     * Halts every child node that is still running and forgets the children that finished.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        state.memoryOf(this).statuses = undefined;
+        this.children.forEach((c) => c.halt(state));
+    }
+
+     addChild(child) {
+        this.children.push(child);
     }
 }
@@ -0,0 +1,22 @@
+import RandomNodeEnumerator from "../RandomNodeEnumerator.js";
+import SelectorNode from "./SelectorNode.js";
+
+/**
+ * Selector that tries its children in a random order, shuffled each time it starts over. A running child is resumed
+ * on the next tick.
+ *
+ * @property {string}       name   - The name of the node.
+ * @property {() => number} random - Returns a number in [0, 1), like Math.random.
+ */
+export default class RandomSelectorNode extends SelectorNode {
+     random;
+
+     constructor(name, random = Math.random) {
+        super(name, true);
+        this.random = random;
+    }
+
+     init(memory) {
+        memory.enumerator = new RandomNodeEnumerator(this.children, this.random);
+    }
+}
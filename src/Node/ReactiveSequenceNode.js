@@ -0,0 +1,117 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+
+/**
+ * Sequence that re-evaluates its children from the first one on every tick. When an earlier child stops
+ * succeeding, the later child that was running is halted.
+ *
+ * @property {string} name - The name of the node.
+ */
+export default class ReactiveSequenceNode {
+    /**
+     * List of child nodes.
+     *
+     * @type {BehaviorTreeNodeInterface[]}
+     */
+     children = [];
+
+     name;
+
+     constructor(name) {
+         this.name = name;
+    }
+
+     async tick(state) {
+        for (const child of this.children) {
+            const status = this.advance(state, child, await child.tick(state));
+            if (status) {
+                return status;
+            }
+        }
+
+        return this.finish(state);
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        for (const child of this.children) {
+            const status = this.advance(state, child, child.tickSync(state));
+            if (status) {
+                return status;
+            }
+        }
+
+        return this.finish(state);
+    }
+
+    /**
+     * The status of the node after a child has run, or nothing to run the next child.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     * @param {BehaviorTreeStatus}        status
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     advance(state, child, status) {
+        if (status === BehaviorTreeStatus.Success) {
+            return undefined;
+        }
+
+        this.setRunningChild(state, status === BehaviorTreeStatus.Running ? child : undefined);
+
+        return status;
+    }
+
+    /**
+     * The status of the node once every child has succeeded, or Running when the node has no children.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state) {
+        if (this.children.length === 0) {
+            return BehaviorTreeStatus.Running;
+        }
+
+        this.setRunningChild(state, undefined);
+
+        return BehaviorTreeStatus.Success;
+    }
+
+    /**
+     * Halts the running child.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        this.setRunningChild(state, undefined);
+    }
+
+     addChild(child) {
+        this.children.push(child);
+    }
+
+    /**
+     * Remembers which child is running, halting the previous one if it was preempted.
+     * The children before the running one are checked again on the next tick, so the tree instance stays awake
+     * while a later child is running.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     */
+     setRunningChild(state, child) {
+        const memory = state.memoryOf(this);
+        if (memory.runningChild && memory.runningChild !== child) {
+            memory.runningChild.halt(state);
+        }
+
+        memory.runningChild = child;
+        if (child && child !== this.children[0] && state.instance) {
+            state.instance.requestTick();
+        }
+    }
+}
@@ -0,0 +1,111 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that runs its child a number of times. Succeeds once the child has succeeded that many times,
+ * and fails as soon as the child fails.
+ *
+ * @property {string} name  - The name of the node
+ * @property {number} count - How many times the child must succeed, a positive whole number.
+ */
+export default class RepeatNNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     count;
+
+     constructor(name, count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
+
+         this.name = name;
+         this.count = count;
+    }
+
+     async tick(state) {
+        this.start(state);
+        for (;;) {
+            const status = this.next(state, await this.childNode.tick(state));
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        this.start(state);
+        for (;;) {
+            const status = this.next(state, this.childNode.tickSync(state));
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * Throws when there is no child, and starts counting the successes of the child.
+     *
+     * @param {StateData} state
+     */
+     start(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        // Number of times the child has succeeded so far.
+        const memory = state.memoryOf(this);
+        memory.successes = memory.successes || 0;
+    }
+
+    /**
+     * The status of the node after a run of the child, or nothing to run the child again.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     next(state, status) {
+        if (status === BehaviorTreeStatus.Running) {
+            return status;
+        }
+
+        const memory = state.memoryOf(this);
+        if (status === BehaviorTreeStatus.Failure || ++memory.successes >= this.count) {
+            memory.successes = 0;
+
+            return status;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Halts the child node if it is running and starts counting over.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        state.memoryOf(this).successes = 0;
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
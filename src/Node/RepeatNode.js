@@ -1,63 +1,33 @@
 import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
-import NodeEnumerator from "../NodeEnumerator.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import LoopNode from "./LoopNode.js";
 
 /**
- * Runs child nodes in sequence, until one fails.
+ * Runs child nodes in sequence, over and over. Succeeds once the sequence has succeeded a number of times, and
+ * fails as soon as it fails. Without a number of times, the node runs until it fails or is halted.
  *
- * @property {string} name - The name of the node.
+ * @property {string} name              - The name of the node.
+ * @property {number} times             - How many times the sequence must succeed.
+ * @property {number} iterationsPerTick - Most runs of the sequence in a tick.
  */
-export default class RepeatNode  {
-  /**
-   * List of child nodes.
-   *
-   * @type {BehaviorTreeNodeInterface[]}
-   */
-   children = [];
+export default class RepeatNode extends LoopNode {
+     times;
 
-  /**
-   * Enumerator to keep state
-   */
-   enumerator;
-   name;
-   keepState;
-
-   constructor(  name,   keepState= false) {
-     this.name = name;
-     this.keepState = keepState;
-  }
-
-   init(){
-    this.enumerator = new NodeEnumerator(this.children);
-  }
-
-   async tick(state){
-    if (!this.enumerator || !this.keepState) {
-      this.init();
-    }
+     constructor(name, times = undefined, iterationsPerTick = 1) {
+        if (times !== undefined && (!Number.isInteger(times) || times < 1)) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
 
-    if (!this.enumerator.current) {
-      return BehaviorTreeStatus.Running;
+        super(name, iterationsPerTick);
+        this.times = times;
     }
-    
-      do {
-        const status = await this.enumerator.current.tick(state);
-        if (status !== BehaviorTreeStatus.Success) {
-          if (status === BehaviorTreeStatus.Failure) {
-            this.enumerator.reset();
-          }
 
-          return BehaviorTreeStatus.Running;
+     finish(memory, status) {
+        if (status === BehaviorTreeStatus.Failure) {
+            return status;
         }
 
-      } while (this.enumerator.next());
-      this.enumerator.reset();
-      
-    
-
-    return BehaviorTreeStatus.Running;
-  }
-
-   addChild(child) {
-    this.children.push(child);
-  }
+        return ++memory.count >= this.times ? BehaviorTreeStatus.Success : undefined;
+    }
 }
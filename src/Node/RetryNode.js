@@ -0,0 +1,110 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that runs its child again when it fails, until it succeeds or has failed a number of times.
+ *
+ * @property {string} name     - The name of the node
+ * @property {number} attempts - How many times the child may run before the node fails, a positive whole number.
+ */
+export default class RetryNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     attempts;
+
+     constructor(name, attempts) {
+        if (!Number.isInteger(attempts) || attempts < 1) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
+
+         this.name = name;
+         this.attempts = attempts;
+    }
+
+     async tick(state) {
+        this.start(state);
+        for (;;) {
+            const status = this.next(state, await this.childNode.tick(state));
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        this.start(state);
+        for (;;) {
+            const status = this.next(state, this.childNode.tickSync(state));
+            if (status) {
+                return status;
+            }
+        }
+    }
+
+    /**
+     * Throws when there is no child, and starts counting the failures of the child.
+     *
+     * @param {StateData} state
+     */
+     start(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        // Number of times the child has failed so far.
+        const memory = state.memoryOf(this);
+        memory.failures = memory.failures || 0;
+    }
+
+    /**
+     * The status of the node after a run of the child, or nothing to run the child again.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     next(state, status) {
+        if (status === BehaviorTreeStatus.Running) {
+            return status;
+        }
+
+        const memory = state.memoryOf(this);
+        if (status === BehaviorTreeStatus.Success || ++memory.failures >= this.attempts) {
+            memory.failures = 0;
+
+            return status;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Halts the child node if it is running and forgets the failed attempts.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        state.memoryOf(this).failures = 0;
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
@@ -14,10 +14,6 @@ export default class SequenceNode {
      */
      children= [];
 
-    /**
-     * Enumerator to keep state
-     */
-     enumerator;
      name;
      keepState;
 
@@ -26,36 +22,110 @@ export default class SequenceNode {
          this.keepState = keepState;
     }
 
-     init() {
-        this.enumerator = new NodeEnumerator(this.children);
+    /**
+     * Starts over from the first child. The enumerator is kept in the memory of the node.
+     *
+     * @param {object} memory
+     */
+     init(memory) {
+        memory.enumerator = new NodeEnumerator(this.children);
     }
 
      async tick(state) {
-        if (!this.enumerator || !this.keepState) {
-            this.init();
+        let status = this.start(state);
+        while (!status) {
+            const child = state.memoryOf(this).enumerator.current;
+            status = this.advance(state, child, await child.tick(state));
         }
 
-        if (!this.enumerator.current) {
-            return BehaviorTreeStatus.Running;
+        return status;
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        let status = this.start(state);
+        while (!status) {
+            const child = state.memoryOf(this).enumerator.current;
+            status = this.advance(state, child, child.tickSync(state));
         }
 
-        do {
-            const status = await this.enumerator.current.tick(state);
-            if (status !== BehaviorTreeStatus.Success) {
-                if (status === BehaviorTreeStatus.Failure) {
-                    this.enumerator.reset();
-                }
+        return status;
+    }
 
-                return status;
-            }
+    /**
+     * Starts over from the first child unless the state is kept. Returns Running when there is no child to run.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     start(state) {
+        const memory = state.memoryOf(this);
+        if (!memory.enumerator || !this.keepState) {
+            this.init(memory);
+        }
 
-        } while (this.enumerator.next());
-        this.enumerator.reset();
+        return memory.enumerator.current ? undefined : BehaviorTreeStatus.Running;
+    }
 
-        return BehaviorTreeStatus.Success;
+    /**
+     * The status of the node after a child has run, or nothing to run the next child.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     * @param {BehaviorTreeStatus}        status
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     advance(state, child, status) {
+        const memory = state.memoryOf(this);
+        if (status === BehaviorTreeStatus.Success && memory.enumerator.next()) {
+            return undefined;
+        }
+
+        if (status === BehaviorTreeStatus.Running) {
+            this.setRunningChild(state, child);
+        } else {
+            memory.enumerator.reset();
+            this.setRunningChild(state, undefined);
+        }
+
+        return status;
+    }
+
+    /**
+     * Halts the running child and starts over from the first child on the next tick.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        this.setRunningChild(state, undefined);
+
+        const memory = state.memoryOf(this);
+        if (memory.enumerator) {
+            memory.enumerator.reset();
+        }
     }
 
      addChild(child) {
         this.children.push(child);
     }
+
+    /**
+     * Remembers which child is running, halting the previous one if it was preempted.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     */
+     setRunningChild(state, child) {
+        const memory = state.memoryOf(this);
+        if (memory.runningChild && memory.runningChild !== child) {
+            memory.runningChild.halt(state);
+        }
+
+        memory.runningChild = child;
+    }
 }
@@ -0,0 +1,62 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import BlackboardScopeNode from "./BlackboardScopeNode.js";
+
+/**
+ * Decorator node standing for a copy of a named subtree, created by BehaviorTreeBuilder.subtree.
+ *
+ * Without a remapping or parameters, the subtree uses the blackboard of the tree. Otherwise it runs with its own
+ * blackboard scoped inside the blackboard of the tree, which starts with the parameters as its values.
+ *
+ * @property {string}                 name      - The name of the node
+ * @property {string}                 subtree   - The name the subtree is defined under.
+ * @property {Object<string, string>} remapping - Keys of the subtree mapped to keys of the enclosing blackboard.
+ * @property {Object<string, *>}      params    - Values of keys of the subtree.
+ */
+export default class SubtreeNode extends BlackboardScopeNode {
+     subtree;
+     params;
+
+     constructor(name, subtree, remapping, params) {
+        super(name, remapping);
+        this.subtree = subtree;
+        this.remapping = remapping;
+        this.params = params;
+    }
+
+    /**
+     * Throws when the subtree hasn't been defined.
+     */
+     validate() {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.UNKNOWN_SUBTREE, {path: this.subtree});
+        }
+    }
+
+     async tick(state) {
+        this.validate();
+
+        return super.tick(state);
+    }
+
+     tickSync(state) {
+        this.validate();
+
+        return super.tickSync(state);
+    }
+
+     scopedState(state) {
+        if (this.remapping === undefined && this.params === undefined) {
+            return state;
+        }
+
+        return super.scopedState(state);
+    }
+
+     createScope(blackboard) {
+        const scope = blackboard.createScope(this.remapping);
+        Object.entries(this.params || {}).forEach(([key, value]) => scope.set(key, value));
+
+        return scope;
+    }
+}
@@ -0,0 +1,114 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node that halts its child and fails when the child has been running for too long.
+ *
+ * Elapsed time is the sum of StateData.deltaTime over the ticks of the node, read as milliseconds, unless a clock
+ * is given.
+ *
+ * @property {string}       name  - The name of the node
+ * @property {number}       ms    - How long the child may run, in milliseconds, zero or more.
+ * @property {() => number} clock - Optional function returning the current time in milliseconds.
+ */
+export default class TimeoutNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     ms;
+     clock;
+
+     constructor(name, ms, clock) {
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new BehaviorTreeError(Errors.INVALID_DURATION);
+        }
+
+         this.name = name;
+         this.ms = ms;
+         this.clock = clock;
+    }
+
+     async tick(state) {
+        return this.start(state) || this.finish(state, await this.childNode.tick(state));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        return this.start(state) || this.finish(state, this.childNode.tickSync(state));
+    }
+
+    /**
+     * Nothing when the child may run. Otherwise halts the child and fails, because it has been running for too long.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     start(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        // Milliseconds the child has been running for, and the time it started at when a clock is used.
+        const memory = state.memoryOf(this);
+        if (memory.elapsed === undefined) {
+            memory.elapsed = 0;
+            memory.startTime = this.clock ? this.clock() : undefined;
+        } else {
+            memory.elapsed = this.clock ? this.clock() - memory.startTime : memory.elapsed + state.deltaTime;
+        }
+
+        if (memory.elapsed >= this.ms) {
+            this.halt(state);
+
+            return BehaviorTreeStatus.Failure;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Resets the timeout once the child has finished, or wakes up the tree instance when the child runs out of time.
+     *
+     * @param {StateData}          state
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state, status) {
+        const memory = state.memoryOf(this);
+        if (status !== BehaviorTreeStatus.Running) {
+            memory.elapsed = undefined;
+        } else if (state.instance) {
+            state.instance.wakeAfter(this.ms - memory.elapsed);
+        }
+
+        return status;
+    }
+
+    /**
+     * Halts the child node if it is running and resets the timeout.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        state.memoryOf(this).elapsed = undefined;
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
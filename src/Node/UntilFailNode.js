@@ -1,63 +1,34 @@
 import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
-import NodeEnumerator from "../NodeEnumerator.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import LoopNode from "./LoopNode.js";
 
 /**
- * Runs child nodes in sequence, until one fails.
+ * Runs child nodes in sequence, over and over, until the sequence fails, and then succeeds. Fails when the sequence
+ * has succeeded a number of times without failing. Without a number of attempts, the node runs until the sequence
+ * fails or is halted.
  *
- * @property {string} name - The name of the node.
+ * @property {string} name              - The name of the node.
+ * @property {number} attempts          - How many times the sequence may succeed.
+ * @property {number} iterationsPerTick - Most runs of the sequence in a tick.
  */
-export default class UntilFailNode  {
-  /**
-   * List of child nodes.
-   *
-   * @type {BehaviorTreeNodeInterface[]}
-   */
-   children = [];
+export default class UntilFailNode extends LoopNode {
+     attempts;
 
-  /**
-   * Enumerator to keep state
-   */
-   enumerator;
-   name;
-   keepState;
-
-   constructor(  name,   keepState= false) {
-     this.name = name;
-     this.keepState = keepState;
-  }
-
-   init() {
-    this.enumerator = new NodeEnumerator(this.children);
-  }
-
-   async tick(state) {
-    if (!this.enumerator || !this.keepState) {
-      this.init();
-    }
+     constructor(name, attempts = undefined, iterationsPerTick = 1) {
+        if (attempts !== undefined && (!Number.isInteger(attempts) || attempts < 1)) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
 
-    if (!this.enumerator.current) {
-      return BehaviorTreeStatus.Running;
+        super(name, iterationsPerTick);
+        this.attempts = attempts;
     }
-    
-      do {
-        const status = await this.enumerator.current.tick(state);
-        if (status !== BehaviorTreeStatus.Success) {
-          if (status === BehaviorTreeStatus.Failure) {
-            this.enumerator.reset();
-          }
 
-          return status;
+     finish(memory, status) {
+        if (status === BehaviorTreeStatus.Failure) {
+            return BehaviorTreeStatus.Success;
         }
 
-      } while (this.enumerator.next());
-      this.enumerator.reset();
-      
-    
-
-    return BehaviorTreeStatus.Running;
-  }
-
-   addChild(child) {
-    this.children.push(child);
-  }
+        return ++memory.count >= this.attempts ? BehaviorTreeStatus.Failure : undefined;
+    }
 }
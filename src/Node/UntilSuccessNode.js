@@ -0,0 +1,33 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import LoopNode from "./LoopNode.js";
+
+/**
+ * Runs child nodes in sequence, over and over, until the sequence succeeds. Fails when the sequence has failed a
+ * number of times. Without a number of attempts, the node runs until the sequence succeeds or is halted.
+ *
+ * @property {string} name              - The name of the node.
+ * @property {number} attempts          - How many times the sequence may fail.
+ * @property {number} iterationsPerTick - Most runs of the sequence in a tick.
+ */
+export default class UntilSuccessNode extends LoopNode {
+     attempts;
+
+     constructor(name, attempts = undefined, iterationsPerTick = 1) {
+        if (attempts !== undefined && (!Number.isInteger(attempts) || attempts < 1)) {
+            throw new BehaviorTreeError(Errors.INVALID_COUNT);
+        }
+
+        super(name, iterationsPerTick);
+        this.attempts = attempts;
+    }
+
+     finish(memory, status) {
+        if (status === BehaviorTreeStatus.Success) {
+            return status;
+        }
+
+        return ++memory.count >= this.attempts ? BehaviorTreeStatus.Failure : undefined;
+    }
+}
@@ -0,0 +1,63 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+
+/**
+ * Decorator node giving its child a score for a utility selector. Ticking the node ticks the child.
+ *
+ * @property {string}                      name  - The name of the node
+ * @property {(state: StateData) => number} score - How useful the child is in the given state.
+ */
+export default class UtilityNode {
+    /**
+     * The child to run
+     */
+     childNode;
+     name;
+     score;
+
+     constructor(name, score) {
+         this.name = name;
+         this.score = score;
+    }
+
+     async tick(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        return await this.childNode.tick(state);
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        if (!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_NO_CHILDREN);
+        }
+
+        return this.childNode.tickSync(state);
+    }
+
+    /**
+     * Halts the child node if it is running.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        if (this.childNode) {
+            this.childNode.halt(state);
+        }
+    }
+
+     addChild(child) {
+        if (!!this.childNode) {
+            throw new BehaviorTreeError(Errors.DECORATOR_MULTIPLE_CHILDREN);
+        }
+
+        this.childNode = child;
+    }
+}
@@ -0,0 +1,158 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+
+/**
+ * Selector that scores its children on every tick and runs them from the highest score to the lowest, until one
+ * doesn't fail. Children are scored by their score function, such as the one of a UtilityNode; children without one
+ * score zero, and scores that aren't numbers, such as undefined or NaN, rank last. When the choice changes, the child
+ * that was running is halted.
+ *
+ * To prevent flip-flopping between children with close scores, the running child is kept first unless another child
+ * scores more than the hysteresis above it.
+ *
+ * @property {string} name       - The name of the node.
+ * @property {number} hysteresis - How much more another child must score to replace the running child.
+ */
+export default class UtilitySelectorNode {
+    /**
+     * List of child nodes.
+     *
+     * @type {BehaviorTreeNodeInterface[]}
+     */
+     children = [];
+
+     name;
+     hysteresis;
+
+     constructor(name, hysteresis = 0) {
+         this.name = name;
+         this.hysteresis = hysteresis;
+    }
+
+     async tick(state) {
+        for (const child of this.rank(state)) {
+            const status = this.advance(state, child, await child.tick(state));
+            if (status) {
+                return status;
+            }
+        }
+
+        return this.finish(state);
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     tickSync(state) {
+        for (const child of this.rank(state)) {
+            const status = this.advance(state, child, child.tickSync(state));
+            if (status) {
+                return status;
+            }
+        }
+
+        return this.finish(state);
+    }
+
+    /**
+     * The status of the node after a child has run, or nothing to run the next child.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     * @param {BehaviorTreeStatus}        status
+     * @returns {BehaviorTreeStatus|undefined}
+     */
+     advance(state, child, status) {
+        if (status === BehaviorTreeStatus.Failure) {
+            return undefined;
+        }
+
+        this.setRunningChild(state, status === BehaviorTreeStatus.Running ? child : undefined);
+
+        return status;
+    }
+
+    /**
+     * The status of the node once every child has failed, or Running when the node has no children.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     finish(state) {
+        if (this.children.length === 0) {
+            return BehaviorTreeStatus.Running;
+        }
+
+        this.setRunningChild(state, undefined);
+
+        return BehaviorTreeStatus.Failure;
+    }
+
+    /**
+     * The children in the order they are tried: by decreasing score, in declared order for equal scores, with the
+     * running child first unless another child beats it by more than the hysteresis.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeNodeInterface[]}
+     */
+     rank(state) {
+        const scores  = new Map(this.children.map((c) => [c, this.scoreOf(c, state)]));
+        const compare = (a, b) => scores.get(a) === scores.get(b) ? 0 : scores.get(b) - scores.get(a);
+        const ranked  = [...this.children].sort(compare);
+        const running = state.memoryOf(this).runningChild;
+
+        if (running && ranked[0] !== running && scores.get(ranked[0]) <= scores.get(running) + this.hysteresis) {
+            ranked.splice(ranked.indexOf(running), 1);
+            ranked.unshift(running);
+        }
+
+        return ranked;
+    }
+
+    /**
+     * The score of a child, or -Infinity when its score function doesn't return a number.
+     *
+     * @param {BehaviorTreeNodeInterface} child
+     * @param {StateData}                 state
+     * @returns {number}
+     */
+     scoreOf(child, state) {
+        const score = typeof child.score === "function" ? child.score(state) : 0;
+
+        return typeof score === "number" && !Number.isNaN(score) ? score : -Infinity;
+    }
+
+    /**
+     * Halts the running child.
+     *
+     * @param {StateData} state
+     */
+     halt(state) {
+        this.setRunningChild(state, undefined);
+    }
+
+     addChild(child) {
+        this.children.push(child);
+    }
+
+    /**
+     * Remembers which child is running, halting the previous one if it was preempted.
+     * The children are scored again on the next tick, so the tree instance stays awake while a child is running.
+     *
+     * @param {StateData}                 state
+     * @param {BehaviorTreeNodeInterface} child
+     */
+     setRunningChild(state, child) {
+        const memory = state.memoryOf(this);
+        if (memory.runningChild && memory.runningChild !== child) {
+            memory.runningChild.halt(state);
+        }
+
+        memory.runningChild = child;
+        if (child && this.children.length > 1 && state.instance) {
+            state.instance.requestTick();
+        }
+    }
+}
@@ -0,0 +1,66 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+
+/**
+ * A behavior tree leaf node that waits until a predicate is true.
+ *
+ * While the predicate is false, the node is running, and a tree instance ticking it can fall asleep instead of
+ * checking the predicate again on every tick. The instance is woken up when one of the blackboard keys changes, one
+ * of the events is emitted, or the time elapses.
+ *
+ * @property {string}                      name      - The name of the node
+ * @property {(state: StateData) => boolean} predicate - What to wait for. Must be synchronous.
+ * @property {string[]}                    keys      - Blackboard keys the predicate depends on.
+ * @property {string[]}                    events    - Events emitted on the tree instance that can make it true.
+ * @property {number}                      ms        - Milliseconds after which the predicate is checked again anyway.
+ */
+export default class WaitForNode {
+     name;
+     predicate;
+     keys;
+     events;
+     ms;
+
+     constructor(name, predicate, keys = [], events = [], ms = undefined) {
+        this.name = name;
+        this.predicate = predicate;
+        this.keys = keys;
+        this.events = events;
+        this.ms = ms;
+    }
+
+     async tick(state) {
+        return this.check(state);
+    }
+
+     tickSync(state) {
+        return this.check(state);
+    }
+
+    /**
+     * Succeeds if the predicate is true, otherwise tells the tree instance what can wake it up.
+     *
+     * @param {StateData} state
+     * @returns {BehaviorTreeStatus}
+     */
+     check(state) {
+        try {
+            if (this.predicate(state)) {
+                return BehaviorTreeStatus.Success;
+            }
+        } catch (error) {
+            return state.handleError(this, error);
+        }
+
+        if (state.instance) {
+            state.instance.waitFor(state.blackboard, this.keys, this.events, this.ms);
+        }
+
+        return BehaviorTreeStatus.Running;
+    }
+
+    /**
+     * Nothing to clean up: waiting keeps no state in the node.
+     */
+     halt() {
+    }
+}
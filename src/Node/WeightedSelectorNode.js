@@ -0,0 +1,32 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import RandomNodeEnumerator from "../RandomNodeEnumerator.js";
+import SelectorNode from "./SelectorNode.js";
+
+/**
+ * Selector that tries its children in a random order favouring the children with a higher weight, shuffled each time
+ * it starts over. A running child is resumed on the next tick.
+ *
+ * @property {string}       name    - The name of the node.
+ * @property {number[]}     weights - Weight of each child, in the order of the children, zero or more. Missing weights
+ *                                    are 1, and children of weight zero are tried last.
+ * @property {() => number} random  - Returns a number in [0, 1), like Math.random.
+ */
+export default class WeightedSelectorNode extends SelectorNode {
+     weights;
+     random;
+
+     constructor(name, weights = [], random = Math.random) {
+        if (!Array.isArray(weights) || weights.some((w) => w !== undefined && (!Number.isFinite(w) || w < 0))) {
+            throw new BehaviorTreeError(Errors.INVALID_WEIGHT);
+        }
+
+        super(name, true);
+        this.weights = weights;
+        this.random = random;
+    }
+
+     init(memory) {
+        memory.enumerator = new RandomNodeEnumerator(this.children, this.random, this.weights);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * How a node type is placed in a tree.
+ */
+class NodeKind {
+    /**
+     * Has any number of children.
+     */
+    static Composite = "COMPOSITE"
+
+    /**
+     * Has a single child.
+     */
+    static Decorator = "DECORATOR"
+
+    /**
+     * Has no children.
+     */
+    static Leaf = "LEAF"
+}
+
+export default NodeKind;
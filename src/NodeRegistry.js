@@ -0,0 +1,171 @@
+import BehaviorTreeError from "./Error/BehaviorTreeError.js";
+import Errors from "./Error/Errors.js";
+import ActionNode from "./Node/ActionNode.js";
+import AsyncActionNode from "./Node/AsyncActionNode.js";
+import BlackboardScopeNode from "./Node/BlackboardScopeNode.js";
+import CatchNode from "./Node/CatchNode.js";
+import ConditionNode from "./Node/ConditionNode.js";
+import CooldownNode from "./Node/CooldownNode.js";
+import FailerNode from "./Node/FailerNode.js";
+import GuardNode from "./Node/GuardNode.js";
+import IfNode from "./Node/IfNode.js";
+import InverterNode from "./Node/InverterNode.js";
+import ParallelNode from "./Node/ParallelNode.js";
+import RandomSelectorNode from "./Node/RandomSelectorNode.js";
+import RandomSequenceNode from "./Node/RandomSequenceNode.js";
+import ReactiveSelectorNode from "./Node/ReactiveSelectorNode.js";
+import ReactiveSequenceNode from "./Node/ReactiveSequenceNode.js";
+import RepeatNode from "./Node/RepeatNode.js";
+import RepeatNNode from "./Node/RepeatNNode.js";
+import RetryNode from "./Node/RetryNode.js";
+import SelectorNode from "./Node/SelectorNode.js";
+import SequenceNode from "./Node/SequenceNode.js";
+import SubtreeNode from "./Node/SubtreeNode.js";
+import SucceederNode from "./Node/SucceederNode.js";
+import TimeoutNode from "./Node/TimeoutNode.js";
+import UntilFailNode from "./Node/UntilFailNode.js";
+import UntilSuccessNode from "./Node/UntilSuccessNode.js";
+import UtilityNode from "./Node/UtilityNode.js";
+import WaitForNode from "./Node/WaitForNode.js";
+import UtilitySelectorNode from "./Node/UtilitySelectorNode.js";
+import WeightedSelectorNode from "./Node/WeightedSelectorNode.js";
+import NodeKind from "./NodeKind.js";
+
+/**
+ * The registry used when no other registry is given.
+ *
+ * @type {NodeRegistry}
+ */
+let defaultRegistry;
+
+/**
+ * Node types known by name, used by BehaviorTreeBuilder.node and to save and load trees.
+ *
+ * A node class is constructed with the name of the node followed by its parameters, in the order they are
+ * registered in. Its parameters are read back from the properties of the same name.
+ */
+export default class NodeRegistry {
+    /**
+     * @type {Map<string, {type: string, node: Function, kind: string, params: string[]}>}
+     */
+    types = new Map();
+
+    /**
+     * Registry with every built-in node type.
+     *
+     * @returns {NodeRegistry}
+     */
+    static createDefault() {
+        return new NodeRegistry()
+            .register("action", ActionNode, NodeKind.Leaf)
+            .register("asyncAction", AsyncActionNode, NodeKind.Leaf)
+            .register("condition", ConditionNode, NodeKind.Leaf)
+            .register("waitFor", WaitForNode, NodeKind.Leaf, ["keys", "events", "ms"])
+            .register("sequence", SequenceNode, NodeKind.Composite, ["keepState"])
+            .register("selector", SelectorNode, NodeKind.Composite, ["keepState"])
+            .register("parallel", ParallelNode, NodeKind.Composite, ["requiredToFail", "requiredToSucceed", "remember"])
+            .register("repeat", RepeatNode, NodeKind.Composite, ["times", "iterationsPerTick"])
+            .register("untilFail", UntilFailNode, NodeKind.Composite, ["attempts", "iterationsPerTick"])
+            .register("untilSuccess", UntilSuccessNode, NodeKind.Composite, ["attempts", "iterationsPerTick"])
+            .register("reactiveSelector", ReactiveSelectorNode, NodeKind.Composite)
+            .register("reactiveSequence", ReactiveSequenceNode, NodeKind.Composite)
+            .register("randomSelector", RandomSelectorNode, NodeKind.Composite)
+            .register("randomSequence", RandomSequenceNode, NodeKind.Composite)
+            .register("weightedSelector", WeightedSelectorNode, NodeKind.Composite, ["weights"])
+            .register("utilitySelector", UtilitySelectorNode, NodeKind.Composite, ["hysteresis"])
+            .register("if", IfNode, NodeKind.Composite)
+            .register("inverter", InverterNode, NodeKind.Decorator)
+            .register("utility", UtilityNode, NodeKind.Decorator)
+            .register("timeout", TimeoutNode, NodeKind.Decorator, ["ms"])
+            .register("cooldown", CooldownNode, NodeKind.Decorator, ["ms"])
+            .register("retry", RetryNode, NodeKind.Decorator, ["attempts"])
+            .register("catch", CatchNode, NodeKind.Decorator, ["key"])
+            .register("guard", GuardNode, NodeKind.Decorator)
+            .register("succeeder", SucceederNode, NodeKind.Decorator)
+            .register("failer", FailerNode, NodeKind.Decorator)
+            .register("repeatN", RepeatNNode, NodeKind.Decorator, ["count"])
+            .register("scope", BlackboardScopeNode, NodeKind.Decorator, ["remapping"])
+            .register("subtree", SubtreeNode, NodeKind.Decorator, ["subtree", "remapping", "params"]);
+    }
+
+    /**
+     * The shared registry used by default. Node types registered here are available to every builder.
+     *
+     * @returns {NodeRegistry}
+     */
+    static get default() {
+        if (!defaultRegistry) {
+            defaultRegistry = NodeRegistry.createDefault();
+        }
+
+        return defaultRegistry;
+    }
+
+    /**
+     * Register a node class under a type name.
+     *
+     * @param {string}   type
+     * @param {Function} node   - The node class.
+     * @param {string}   kind   - One of NodeKind.
+     * @param {string[]} params - Names of the constructor parameters that follow the name of the node.
+     * @returns {NodeRegistry}
+     */
+    register(type, node, kind, params = []) {
+        if (this.types.has(type)) {
+            throw new BehaviorTreeError(Errors.DUPLICATE_NODE_TYPE);
+        }
+
+        this.types.set(type, {type, node, kind, params});
+
+        return this;
+    }
+
+    /**
+     * @param {string} type
+     * @returns {boolean}
+     */
+    has(type) {
+        return this.types.has(type);
+    }
+
+    /**
+     * @param {string} type
+     * @returns {{type: string, node: Function, kind: string, params: string[]}}
+     */
+    get(type) {
+        const definition = this.types.get(type);
+        if (!definition) {
+            throw new BehaviorTreeError(Errors.UNKNOWN_NODE_TYPE, {path: type});
+        }
+
+        return definition;
+    }
+
+    /**
+     * Find the registered type of a node.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {{type: string, node: Function, kind: string, params: string[]}|undefined}
+     */
+    typeOf(node) {
+        for (const definition of this.types.values()) {
+            if (definition.node === node.constructor) {
+                return definition;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Create a node of a registered type.
+     *
+     * @param {string} type
+     * @param {string} name
+     * @param {...*}   args - The parameters of the node.
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    create(type, name, ...args) {
+        return new (this.get(type).node)(name, ...args);
+    }
+}
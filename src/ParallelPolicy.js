@@ -0,0 +1,16 @@
+/**
+ * Thresholds of a parallel node that depend on its number of children.
+ */
+class ParallelPolicy {
+    /**
+     * A single child is required.
+     */
+    static RequireOne = "REQUIRE_ONE"
+
+    /**
+     * Every child is required.
+     */
+    static RequireAll = "REQUIRE_ALL"
+}
+
+export default ParallelPolicy;
@@ -0,0 +1,25 @@
+/**
+ * Random number generators for the random composite nodes.
+ *
+ * A generator is a function returning a number in [0, 1), like Math.random.
+ */
+export default class Random {
+    /**
+     * A generator returning the same numbers for the same seed, so that simulation runs can be reproduced.
+     *
+     * @param {number} seed
+     * @returns {() => number}
+     */
+    static seeded(seed) {
+        // Mulberry32.
+        let t = seed >>> 0;
+
+        return () => {
+            t = (t + 0x6D2B79F5) >>> 0;
+            let r = Math.imul(t ^ (t >>> 15), t | 1);
+            r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
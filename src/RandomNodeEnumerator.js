@@ -0,0 +1,46 @@
+import NodeEnumerator from "./NodeEnumerator.js";
+
+/**
+ * Enumerates nodes in a random order, which is shuffled again each time the enumerator is reset.
+ *
+ * With weights, nodes with a higher weight tend to come first: each node is picked before the remaining ones with a
+ * probability proportional to its weight.
+ */
+export default class RandomNodeEnumerator extends NodeEnumerator {
+     children;
+     random;
+     weights;
+
+    /**
+     * @param {BehaviorTreeNodeInterface[]} children
+     * @param {() => number}                random    - Returns a number in [0, 1), like Math.random.
+     * @param {number[]}                    [weights] - Weight of each child, 1 by default.
+     */
+     constructor(children, random, weights = []) {
+        super([]);
+        this.children = children;
+        this.random = random;
+        this.weights = weights;
+        this.nodes = this.shuffle();
+    }
+
+     reset() {
+        super.reset();
+        this.nodes = this.shuffle();
+    }
+
+    /**
+     * The children in a new random order.
+     *
+     * @returns {BehaviorTreeNodeInterface[]}
+     */
+     shuffle() {
+        const keys = new Map(this.children.map((c, i) => {
+            const weight = this.weights[i] === undefined ? 1 : this.weights[i];
+
+            return [c, Math.pow(this.random(), 1 / weight)];
+        }));
+
+        return [...this.children].sort((a, b) => keys.get(b) - keys.get(a));
+    }
+}
@@ -0,0 +1,148 @@
+import BehaviorTreeStatus from "../BehaviorTreeStatus.js";
+import NodeKind from "../NodeKind.js";
+import NodeRegistry from "../NodeRegistry.js";
+import TreeWalker from "../TreeWalker.js";
+
+/**
+ * Fill colors of the statuses nodes can be annotated with.
+ */
+const statusColors = {
+    [BehaviorTreeStatus.Success]: "#a5d6a7",
+    [BehaviorTreeStatus.Failure]: "#ef9a9a",
+    [BehaviorTreeStatus.Running]: "#ffe082",
+};
+
+/**
+ * Exports trees as Graphviz DOT and Mermaid flowchart diagrams.
+ *
+ * Composite nodes are drawn as boxes, decorators as diamonds, actions as rounded boxes and conditions as ellipses.
+ * Node parameters are shown under the type and name of the node. When the last status of each node is given, such
+ * as the statuses of a Tracer, nodes are filled with the color of their status.
+ */
+export default class DiagramExporter {
+    /**
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {object}                    [options]
+     * @param {Map<string, string>}       [options.statuses]     - Last status of each node, keyed by path.
+     * @param {NodeRegistry}              [options.nodeRegistry] - Used to find the type and parameters of nodes.
+     * @returns {string}
+     */
+    static toDot(tree, {statuses = new Map(), nodeRegistry = NodeRegistry.default} = {}) {
+        const lines = ["digraph BehaviorTree {", "    node [fontname=\"Helvetica\"];"];
+        DiagramExporter.visit(tree, nodeRegistry, (node) => {
+            const label      = DiagramExporter.label(node, "\\n").replace(/"/g, "\\\"");
+            const shape      = {composite: "box", decorator: "diamond", action: "box", condition: "ellipse"}[node.shape];
+            const attributes = [`label="${label}"`, `shape=${shape}`];
+            const style      = node.shape === "action" ? ["rounded"] : [];
+
+            const color = statusColors[statuses.get(node.path)];
+            if (color) {
+                style.push("filled");
+                attributes.push(`fillcolor="${color}"`);
+            }
+            if (style.length > 0) {
+                attributes.push(`style="${style.join(",")}"`);
+            }
+
+            lines.push(`    ${node.id} [${attributes.join(", ")}];`);
+            if (node.parentId) {
+                lines.push(`    ${node.parentId} -> ${node.id};`);
+            }
+        });
+        lines.push("}");
+
+        return lines.join("\n");
+    }
+
+    /**
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {object}                    [options]
+     * @param {Map<string, string>}       [options.statuses]     - Last status of each node, keyed by path.
+     * @param {NodeRegistry}              [options.nodeRegistry] - Used to find the type and parameters of nodes.
+     * @returns {string}
+     */
+    static toMermaid(tree, {statuses = new Map(), nodeRegistry = NodeRegistry.default} = {}) {
+        const lines   = ["flowchart TD"];
+        const classes = [];
+        DiagramExporter.visit(tree, nodeRegistry, (node) => {
+            const label = `"${DiagramExporter.label(node, "<br/>").replace(/"/g, "#quot;")}"`;
+            const shape = {
+                composite: `[${label}]`,
+                decorator: `{${label}}`,
+                action: `(${label})`,
+                condition: `([${label}])`,
+            }[node.shape];
+
+            lines.push(`    ${node.id}${shape}`);
+            if (node.parentId) {
+                lines.push(`    ${node.parentId} --> ${node.id}`);
+            }
+
+            const status = statuses.get(node.path);
+            if (statusColors[status]) {
+                classes.push(`    class ${node.id} ${status.toLowerCase()}`);
+            }
+        });
+
+        if (classes.length > 0) {
+            Object.keys(statusColors).forEach((s) => lines.push(`    classDef ${s.toLowerCase()} fill:${statusColors[s]}`));
+            lines.push(...classes);
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Visit every node of a tree with the information needed to draw it.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {NodeRegistry}              nodeRegistry
+     * @param {(node: object) => void}    visitor
+     */
+    static visit(tree, nodeRegistry, visitor) {
+        let count = 0;
+        const visit = (node, parentPath, parentId) => {
+            const id         = `n${count++}`;
+            const path       = TreeWalker.pathOf(node, parentPath);
+            const definition = nodeRegistry.typeOf(node);
+            const children   = TreeWalker.childrenOf(node);
+            const params     = definition ? definition.params.filter((p) => node[p] !== undefined) : [];
+
+            visitor({
+                id,
+                parentId,
+                path,
+                name: node.name,
+                type: definition ? definition.type : node.constructor.name,
+                params: params.map((p) => `${p}=${DiagramExporter.format(node[p])}`),
+                shape: DiagramExporter.shapeOf(definition, children),
+            });
+            children.forEach((c) => visit(c, path, id));
+        };
+        visit(tree, undefined, undefined);
+    }
+
+    /**
+     * @param {object}                      definition - The registered type of the node, if any.
+     * @param {BehaviorTreeNodeInterface[]} children
+     * @returns {string}
+     */
+    static shapeOf(definition, children) {
+        if (definition && definition.type === "condition") {
+            return "condition";
+        }
+
+        const kind = definition ? definition.kind
+            : children.length === 0 ? NodeKind.Leaf : NodeKind.Composite;
+
+        return kind === NodeKind.Leaf ? "action" : kind === NodeKind.Decorator ? "decorator" : "composite";
+    }
+
+    static label(node, separator) {
+        return [`${node.type}: ${node.name}`, ...node.params].join(separator);
+    }
+
+    static format(value) {
+        return typeof value === "object" ? JSON.stringify(value) : String(value);
+    }
+}
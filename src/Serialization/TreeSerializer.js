@@ -0,0 +1,128 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import ActionNode from "../Node/ActionNode.js";
+import AsyncActionNode from "../Node/AsyncActionNode.js";
+import ConditionNode from "../Node/ConditionNode.js";
+import GuardNode from "../Node/GuardNode.js";
+import IfNode from "../Node/IfNode.js";
+import UtilityNode from "../Node/UtilityNode.js";
+import WaitForNode from "../Node/WaitForNode.js";
+import NodeKind from "../NodeKind.js";
+import NodeRegistry from "../NodeRegistry.js";
+import TreeWalker from "../TreeWalker.js";
+
+/**
+ * Converts built trees to and from a structural JSON description.
+ *
+ * Actions, conditions, and the predicates and score functions of other nodes are described by their name only. When
+ * a tree is loaded, their implementations are looked up by name in a registry. Other node types are looked up in a
+ * NodeRegistry.
+ */
+export default class TreeSerializer {
+    /**
+     * Describe a tree as a plain object that can be passed to JSON.stringify.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {NodeRegistry}              nodeRegistry
+     * @returns {object}
+     */
+    static toJSON(tree, nodeRegistry = NodeRegistry.default) {
+        const definition = nodeRegistry.typeOf(tree);
+        if (!definition) {
+            throw new BehaviorTreeError(Errors.UNSERIALIZABLE_NODE);
+        }
+
+        const json = {type: definition.type, name: tree.name};
+        if (definition.params.length > 0) {
+            json.params = {};
+            definition.params.filter((p) => tree[p] !== undefined).forEach((p) => json.params[p] = tree[p]);
+        }
+        if (definition.kind !== NodeKind.Leaf) {
+            json.children = TreeWalker.childrenOf(tree).map((c) => TreeSerializer.toJSON(c, nodeRegistry));
+        }
+
+        return json;
+    }
+
+    /**
+     * Build a tree from its JSON description.
+     *
+     * The registry maps the names of action and condition nodes to their implementation. An action can be
+     * registered as its function, or as an object with `fn` and `onHalt` functions. The score function of a utility
+     * node and the predicates of wait, if and guard nodes are registered under the name of the node.
+     *
+     * Params the node type doesn't declare are ignored, like the keepState param that older versions saved for
+     * repeat and until fail nodes.
+     *
+     * @param {object|string}                        json
+     * @param {Object<string, Function|object>|Map} registry
+     * @param {NodeRegistry}                         nodeRegistry
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static fromJSON(json, registry = {}, nodeRegistry = NodeRegistry.default) {
+        if (typeof json === "string") {
+            json = JSON.parse(json);
+        }
+
+        const definition = nodeRegistry.get(json.type);
+        if ([ActionNode, AsyncActionNode, ConditionNode].includes(definition.node)) {
+            return TreeSerializer.createAction(definition.node, json.name, registry);
+        }
+
+        const params = json.params || {};
+        if (definition.node === WaitForNode) {
+            const predicate = TreeSerializer.lookup(json.name, registry);
+
+            return new WaitForNode(json.name, predicate, params.keys, params.events, params.ms);
+        }
+
+        const node   = nodeRegistry.create(json.type, json.name, ...definition.params.map((p) => params[p]));
+        if (node instanceof UtilityNode) {
+            node.score = TreeSerializer.lookup(json.name, registry);
+        }
+        if (node instanceof IfNode || node instanceof GuardNode) {
+            node.predicate = TreeSerializer.lookup(json.name, registry);
+        }
+        (json.children || []).forEach((c) => node.addChild(TreeSerializer.fromJSON(c, registry, nodeRegistry)));
+
+        return node;
+    }
+
+    /**
+     * Create an action or condition node from the implementation registered under its name.
+     *
+     * @param {Function}                             nodeClass
+     * @param {string}                               name
+     * @param {Object<string, Function|object>|Map} registry
+     * @param {string}                               [id] - Name the implementation is registered under, if another.
+     * @returns {ActionNode}
+     */
+    static createAction(nodeClass, name, registry, id = name) {
+        const implementation = TreeSerializer.lookup(id, registry);
+        if (nodeClass === ConditionNode) {
+            return new ConditionNode(name, implementation);
+        }
+
+        return typeof implementation === "function"
+            ? new nodeClass(name, implementation)
+            : new nodeClass(name, implementation.fn, implementation.onHalt);
+    }
+
+    /**
+     * The implementation registered under a name. Properties that an object registry inherits, such as
+     * "constructor", aren't implementations.
+     *
+     * @param {string}                               name
+     * @param {Object<string, Function|object>|Map} registry
+     * @returns {Function|object}
+     */
+    static lookup(name, registry) {
+        const implementation = registry instanceof Map ? registry.get(name)
+            : Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : undefined;
+        if (!implementation) {
+            throw new BehaviorTreeError(Errors.UNKNOWN_ACTION, {path: name});
+        }
+
+        return implementation;
+    }
+}
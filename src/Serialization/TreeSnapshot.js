@@ -0,0 +1,140 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import NodeEnumerator from "../NodeEnumerator.js";
+import StateData from "../StateData.js";
+import TreeWalker from "../TreeWalker.js";
+
+/**
+ * Saves and restores the runtime state of a tree, such as the running child of each composite and the counters of
+ * decorators, so a simulation can be saved mid-run or rewound.
+ *
+ * A snapshot is a plain object that can be passed to JSON.stringify, with the state of each node keyed by its path.
+ * Sibling nodes must then have distinct names: trees with duplicate paths can't be saved or restored.
+ * Promises of actions that are still pending can't be saved: restored actions that were running are started again.
+ * Blackboards, including the scopes of BlackboardScopeNodes, are not part of the snapshot.
+ */
+export default class TreeSnapshot {
+    /**
+     * The runtime state of a tree, for an instance or for the memory shared by trees ticked without one.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {TreeInstance}              [instance]
+     * @returns {Object<string, object>}
+     */
+    static snapshot(tree, instance) {
+        const state    = new StateData(0, {}, undefined, instance);
+        const snapshot = {};
+
+        TreeSnapshot.walk(tree, (node, path) => {
+            const saved = TreeSnapshot.save(node, state.memoryOf(node));
+            if (Object.keys(saved).length > 0) {
+                snapshot[path] = saved;
+            }
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Put a tree back into the state of a snapshot. Nodes missing from the snapshot start over.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {Object<string, object>}    snapshot
+     * @param {TreeInstance}              [instance]
+     */
+    static restore(tree, snapshot, instance) {
+        const state = new StateData(0, {}, undefined, instance);
+
+        TreeSnapshot.walk(tree, (node, path) => {
+            const memory = state.memoryOf(node);
+            Object.keys(memory).forEach((key) => delete memory[key]);
+            TreeSnapshot.load(node, memory, snapshot[path] || {});
+        });
+    }
+
+    /**
+     * Visit the nodes of a tree with their path, throwing when two nodes have the same path.
+     *
+     * @param {BehaviorTreeNodeInterface}                                  tree
+     * @param {(node: BehaviorTreeNodeInterface, path: string) => void} visitor
+     */
+    static walk(tree, visitor) {
+        const paths = new Set();
+
+        TreeWalker.walk(tree, (node, path) => {
+            if (paths.has(path)) {
+                throw new BehaviorTreeError(Errors.DUPLICATE_NODE_PATH, {path});
+            }
+            paths.add(path);
+            visitor(node, path);
+        });
+    }
+
+    /**
+     * The serializable values of the memory of a node. Children are saved as their index, and enumerators as their
+     * position and order. Other values, such as promises, are left out.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {object}                    memory
+     * @returns {object}
+     */
+    static save(node, memory) {
+        const children = TreeWalker.childrenOf(node);
+        const saved    = {};
+
+        Object.entries(memory).forEach(([key, value]) => {
+            if (value instanceof NodeEnumerator) {
+                saved[key] = {$enumerator: value.currentIndex, $order: value.nodes.map((n) => children.indexOf(n))};
+            } else if (children.includes(value)) {
+                saved[key] = {$child: children.indexOf(value)};
+            } else if (TreeSnapshot.isSerializable(value)) {
+                saved[key] = value;
+            }
+        });
+
+        return saved;
+    }
+
+    /**
+     * Restore the memory of a node from its saved values.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {object}                    memory
+     * @param {object}                    saved
+     */
+    static load(node, memory, saved) {
+        const children = TreeWalker.childrenOf(node);
+
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value && value.$enumerator !== undefined) {
+                node.init(memory);
+                memory[key].nodes = value.$order.map((i) => children[i]);
+                memory[key].currentIndex = value.$enumerator;
+            } else if (value && value.$child !== undefined) {
+                memory[key] = children[value.$child];
+            } else {
+                memory[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Whether a value survives JSON.stringify unchanged: primitives, and arrays and plain objects of them.
+     *
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isSerializable(value) {
+        if (value === null || ["string", "number", "boolean"].includes(typeof value)) {
+            return true;
+        }
+        if (Array.isArray(value)) {
+            return value.every((v) => TreeSnapshot.isSerializable(v));
+        }
+        if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.values(value).every((v) => TreeSnapshot.isSerializable(v));
+        }
+
+        return false;
+    }
+}
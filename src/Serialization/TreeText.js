@@ -0,0 +1,244 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import NodeKind from "../NodeKind.js";
+import NodeRegistry from "../NodeRegistry.js";
+import TreeSerializer from "./TreeSerializer.js";
+
+/**
+ * Words that can be written without quotes, as node names and parameter values.
+ */
+const bareWord = /^[A-Za-z_][\w\-.\/]*$/;
+
+/**
+ * Reads and writes trees in a text format where each line is a node, and the children of a node are the lines below
+ * it that are indented further:
+ *
+ *     selector root keepState=true
+ *         condition is-safe          # Comments run to the end of the line.
+ *         parallel flee requiredToFail=1 requiredToSucceed=REQUIRE_ALL
+ *             action run
+ *             waitFor alarm keys=["alarm"] ms=500
+ *
+ * A line is the type of the node as registered in a NodeRegistry, the name of the node, and its parameters as
+ * `name=value`. Names and values are JSON, or words that need no quotes. Like TreeSerializer, actions, conditions
+ * and the functions of other nodes are looked up by the name of the node in a registry.
+ */
+export default class TreeText {
+    /**
+     * Build a tree from its text.
+     *
+     * @param {string}                               text
+     * @param {Object<string, Function|object>|Map} registry
+     * @param {NodeRegistry}                         nodeRegistry
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static parse(text, registry = {}, nodeRegistry = NodeRegistry.default) {
+        return TreeSerializer.fromJSON(TreeText.toJSON(text, nodeRegistry), registry, nodeRegistry);
+    }
+
+    /**
+     * The text of a built tree.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {NodeRegistry}              nodeRegistry
+     * @param {string}                    indent - Indentation of each level.
+     * @returns {string}
+     */
+    static format(tree, nodeRegistry = NodeRegistry.default, indent = "    ") {
+        return TreeText.fromJSON(TreeSerializer.toJSON(tree, nodeRegistry), indent);
+    }
+
+    /**
+     * The JSON description of a tree, as read by TreeSerializer.fromJSON, from its text.
+     *
+     * @param {string}       text
+     * @param {NodeRegistry} nodeRegistry
+     * @returns {object}
+     */
+    static toJSON(text, nodeRegistry = NodeRegistry.default) {
+        const roots = [];
+        const open  = [];
+
+        text.split(/\r?\n/).forEach((source, index) => {
+            const line   = index + 1;
+            const tokens = TreeText.tokenize(source, line);
+            if (tokens.length === 0) {
+                return;
+            }
+
+            const depth = source.match(/^\s*/)[0].length;
+            while (open.length > 0 && depth <= open[open.length - 1].depth) {
+                open.pop();
+            }
+
+            const json   = TreeText.readNode(tokens, line, nodeRegistry);
+            const parent = open[open.length - 1];
+            if (!parent) {
+                if (roots.length > 0) {
+                    throw TreeText.error(Errors.MULTIPLE_ROOTS, line);
+                }
+                roots.push(json);
+            } else {
+                if (!parent.json.children) {
+                    throw TreeText.error(Errors.LEAF_WITH_CHILDREN, line);
+                }
+                if (parent.childDepth === undefined) {
+                    parent.childDepth = depth;
+                } else if (depth !== parent.childDepth) {
+                    throw TreeText.error(Errors.INVALID_INDENTATION, line);
+                }
+                parent.json.children.push(json);
+            }
+            open.push({depth, json, childDepth: undefined});
+        });
+
+        if (roots.length === 0) {
+            throw new BehaviorTreeError(Errors.NO_NODES);
+        }
+
+        return roots[0];
+    }
+
+    /**
+     * The text of a tree from its JSON description, as written by TreeSerializer.toJSON.
+     *
+     * @param {object} json
+     * @param {string} indent - Indentation of each level.
+     * @param {number} depth
+     * @returns {string}
+     */
+    static fromJSON(json, indent = "    ", depth = 0) {
+        const params = Object.entries(json.params || {}).map(([key, value]) => `${key}=${TreeText.write(value)}`);
+        const lines  = [indent.repeat(depth) + [json.type, TreeText.write(json.name), ...params].join(" ")];
+        (json.children || []).forEach((c) => lines.push(TreeText.fromJSON(c, indent, depth + 1)));
+
+        return lines.join("\n");
+    }
+
+    /**
+     * The JSON description of the node of a line.
+     *
+     * @param {string[]}     tokens
+     * @param {number}       line
+     * @param {NodeRegistry} nodeRegistry
+     * @returns {object}
+     */
+    static readNode([type, name, ...params], line, nodeRegistry) {
+        if (!nodeRegistry.has(type)) {
+            throw TreeText.error(Errors.UNKNOWN_NODE_TYPE, line);
+        }
+        if (name === undefined || (name.includes("=") && !name.startsWith("\""))) {
+            throw TreeText.error(Errors.INVALID_SYNTAX, line);
+        }
+
+        const definition = nodeRegistry.get(type);
+        const json       = {type, name: String(TreeText.read(name, line))};
+        if (params.length > 0) {
+            json.params = {};
+        }
+        params.forEach((param) => {
+            const separator = param.indexOf("=");
+            const key       = param.slice(0, separator);
+            if (separator === -1) {
+                throw TreeText.error(Errors.INVALID_SYNTAX, line);
+            }
+            if (!definition.params.includes(key)) {
+                throw TreeText.error(Errors.UNKNOWN_PARAMETER, line);
+            }
+            json.params[key] = TreeText.read(param.slice(separator + 1), line);
+        });
+        if (definition.kind !== NodeKind.Leaf) {
+            json.children = [];
+        }
+
+        return json;
+    }
+
+    /**
+     * Split a line into words, keeping quoted strings and bracketed values whole, and dropping the comment.
+     *
+     * @param {string} source
+     * @param {number} line
+     * @returns {string[]}
+     */
+    static tokenize(source, line) {
+        const tokens = [];
+        let token    = "";
+        let depth    = 0;
+        let quoted   = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const c = source[i];
+            if (quoted) {
+                token += c;
+                if (c === "\\") {
+                    token += source[++i] || "";
+                } else if (c === "\"") {
+                    quoted = false;
+                }
+            } else if (c === "#" && depth === 0 && token === "") {
+                break;
+            } else if (/\s/.test(c) && depth === 0) {
+                if (token !== "") {
+                    tokens.push(token);
+                }
+                token = "";
+            } else {
+                token += c;
+                quoted = c === "\"";
+                depth += "[{".includes(c) ? 1 : "]}".includes(c) ? -1 : 0;
+            }
+        }
+
+        if (quoted || depth !== 0) {
+            throw TreeText.error(Errors.INVALID_SYNTAX, line);
+        }
+        if (token !== "") {
+            tokens.push(token);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * The value of a name or parameter: JSON, or else a word without quotes.
+     *
+     * @param {string} word
+     * @param {number} line
+     * @returns {*}
+     */
+    static read(word, line) {
+        try {
+            return JSON.parse(word);
+        } catch (error) {
+            if (!bareWord.test(word)) {
+                throw TreeText.error(Errors.INVALID_SYNTAX, line);
+            }
+
+            return word;
+        }
+    }
+
+    /**
+     * The text of a name or parameter, without quotes when possible.
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    static write(value) {
+        if (typeof value === "string" && bareWord.test(value) && !["true", "false", "null"].includes(value)) {
+            return value;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * @param {string} message
+     * @param {number} line
+     * @returns {BehaviorTreeError}
+     */
+    static error(message, line) {
+        return new BehaviorTreeError(`${message} (line ${line})`, {line});
+    }
+}
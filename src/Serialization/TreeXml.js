@@ -0,0 +1,438 @@
+import BehaviorTreeError from "../Error/BehaviorTreeError.js";
+import Errors from "../Error/Errors.js";
+import ActionNode from "../Node/ActionNode.js";
+import AsyncActionNode from "../Node/AsyncActionNode.js";
+import ConditionNode from "../Node/ConditionNode.js";
+import SubtreeNode from "../Node/SubtreeNode.js";
+import NodeRegistry from "../NodeRegistry.js";
+import ParallelPolicy from "../ParallelPolicy.js";
+import TreeSerializer from "./TreeSerializer.js";
+
+/**
+ * A count of children of a BehaviorTree.CPP parallel node, where -1 stands for all of them.
+ *
+ * @param {string} value
+ * @param {number} defaultValue
+ * @returns {number|string}
+ */
+function countOf(value, defaultValue) {
+    const count = value === undefined ? defaultValue : Number(value);
+
+    return count === -1 ? ParallelPolicy.RequireAll : count;
+}
+
+/**
+ * The BehaviorTree.CPP attribute of a threshold of a parallel node.
+ *
+ * @param {number|string} threshold
+ * @returns {number}
+ */
+function countFor(threshold) {
+    return {[ParallelPolicy.RequireAll]: -1, [ParallelPolicy.RequireOne]: 1}[threshold] || threshold;
+}
+
+/**
+ * BehaviorTree.CPP elements and the node types they stand for, with the parameters of the node read from the
+ * attributes of the element, and the attributes written for the node. A count of -1 repeats forever, which the
+ * node type of `forever` does when it has no count.
+ */
+const elements = {
+    Sequence: {type: "sequence", params: () => ({keepState: true}), attributes: () => ({})},
+    ReactiveSequence: {type: "reactiveSequence", params: () => ({}), attributes: () => ({})},
+    Fallback: {type: "selector", params: () => ({keepState: true}), attributes: () => ({})},
+    ReactiveFallback: {type: "reactiveSelector", params: () => ({}), attributes: () => ({})},
+    Parallel: {
+        type: "parallel",
+        params: (a) => ({
+            requiredToSucceed: countOf(a.success_count !== undefined ? a.success_count : a.success_threshold, -1),
+            requiredToFail: countOf(a.failure_count !== undefined ? a.failure_count : a.failure_threshold, 1),
+            remember: true,
+        }),
+        attributes: (n) => ({success_count: countFor(n.requiredToSucceed), failure_count: countFor(n.requiredToFail)}),
+    },
+    Inverter: {type: "inverter", params: () => ({}), attributes: () => ({})},
+    ForceSuccess: {type: "succeeder", params: () => ({}), attributes: () => ({})},
+    ForceFailure: {type: "failer", params: () => ({}), attributes: () => ({})},
+    RetryUntilSuccessful: {
+        type: "retry",
+        params: (a) => ({attempts: Number(a.num_attempts)}),
+        attributes: (n) => ({num_attempts: n.attempts}),
+        forever: {type: "untilSuccess", attribute: "num_attempts", param: "attempts"},
+    },
+    Repeat: {
+        type: "repeatN",
+        params: (a) => ({count: Number(a.num_cycles)}),
+        attributes: (n) => ({num_cycles: n.count}),
+        forever: {type: "repeat", attribute: "num_cycles", param: "times"},
+    },
+    Timeout: {type: "timeout", params: (a) => ({ms: Number(a.msec)}), attributes: (n) => ({msec: n.ms})},
+};
+
+/**
+ * The parts of an XML document: comments, processing instructions, CDATA and declarations, which are skipped,
+ * closing tags, opening tags with their attributes, and text.
+ */
+const tokens = [
+    "<!--[\\s\\S]*?-->",
+    "<\\?[\\s\\S]*?\\?>",
+    "<!\\[CDATA\\[[\\s\\S]*?\\]\\]>",
+    "<![^>]*>",
+    "<\\/([\\w.:-]+)\\s*>",
+    "<([\\w.:-]+)((?:\\s+[\\w.:-]+\\s*=\\s*(?:\"[^\"]*\"|'[^']*'))*)\\s*(\\/?)>",
+    "[^<]+",
+].join("|");
+
+/**
+ * Characters escaped in XML attributes.
+ */
+const entities = {"&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;"};
+
+/**
+ * Reads and writes trees in the XML format of BehaviorTree.CPP, as authored with Groot:
+ *
+ *     <root BTCPP_format="4" main_tree_to_execute="MainTree">
+ *         <BehaviorTree ID="MainTree">
+ *             <Fallback name="get-out">
+ *                 <Condition ID="IsDoorOpen"/>
+ *                 <SubTree ID="OpenDoor" door="{front_door}"/>
+ *             </Fallback>
+ *         </BehaviorTree>
+ *     </root>
+ *
+ * Sequence, Fallback, their reactive versions, Parallel, Inverter, ForceSuccess, ForceFailure, RetryUntilSuccessful,
+ * Repeat and Timeout are mapped onto the nodes of the same behavior, where a count of -1 repeats forever. Any other
+ * element is an action whose ID is the name of the element, as in version 4 of the format, and can't have children.
+ * Actions and conditions are looked up by ID in a registry, like TreeSerializer does by name; actions named
+ * differently from their ID keep the ID in an `id` property.
+ *
+ * A SubTree is a SubtreeNode holding a copy of the BehaviorTree of the same ID. Its `port="{key}"` attributes remap
+ * keys of the subtree to keys of the enclosing blackboard, and its other attributes set keys of the subtree. Ports of
+ * actions are not supported.
+ */
+export default class TreeXml {
+    /**
+     * Build the main tree of an XML document.
+     *
+     * @param {string}                               xml
+     * @param {Object<string, Function|object>|Map} registry
+     * @param {object}                               [options]
+     * @param {string}                               [options.main]         - ID of the tree to build, by default
+     *                                                                        main_tree_to_execute or the first tree.
+     * @param {NodeRegistry}                         [options.nodeRegistry]
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static parse(xml, registry = {}, {main, nodeRegistry = NodeRegistry.default} = {}) {
+        const root  = TreeXml.readXml(xml);
+        const trees = new Map();
+        root.children
+            .filter((e) => e.tag === "BehaviorTree")
+            .forEach((e) => trees.set(e.attributes.ID, e));
+
+        const id = main || root.attributes.main_tree_to_execute || trees.keys().next().value;
+
+        return TreeXml.createTree(id, {registry, nodeRegistry, trees, expanding: []});
+    }
+
+    /**
+     * The XML document of a tree, with a BehaviorTree for each subtree it uses.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {object}                    [options]
+     * @param {string}                    [options.id]           - ID of the main tree.
+     * @param {NodeRegistry}              [options.nodeRegistry]
+     * @returns {string}
+     */
+    static format(tree, {id = "MainTree", nodeRegistry = NodeRegistry.default} = {}) {
+        const trees = new Map([[id, tree]]);
+        const lines = [
+            "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+            `<root BTCPP_format="4" main_tree_to_execute="${TreeXml.escape(id)}">`,
+        ];
+
+        // Subtrees are added to the map while the trees before them are written.
+        for (const [treeId, node] of trees) {
+            lines.push(`    <BehaviorTree ID="${TreeXml.escape(treeId)}">`);
+            TreeXml.writeNode(node, 2, {lines, trees, nodeRegistry});
+            lines.push("    </BehaviorTree>");
+        }
+        lines.push("</root>");
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Build the tree of a BehaviorTree element.
+     *
+     * @param {string} id
+     * @param {object} context
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static createTree(id, context) {
+        const element = context.trees.get(id);
+        if (!element) {
+            throw new BehaviorTreeError(Errors.UNKNOWN_SUBTREE, {path: id});
+        }
+        if (context.expanding.includes(id)) {
+            throw new BehaviorTreeError(Errors.RECURSIVE_SUBTREE, {path: [...context.expanding, id].join("/")});
+        }
+        if (element.children.length === 0) {
+            throw new BehaviorTreeError(Errors.NO_NODES, {path: id});
+        }
+
+        context.expanding.push(id);
+        const tree = TreeXml.createNode(element.children[0], context);
+        context.expanding.pop();
+
+        return tree;
+    }
+
+    /**
+     * Build the node of an element and its children.
+     *
+     * @param {{tag: string, attributes: object, children: object[]}} element
+     * @param {object}                                                  context
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static createNode(element, context) {
+        const attributes = element.attributes;
+        if (element.tag === "SubTree") {
+            return TreeXml.createSubtree(element, context);
+        }
+
+        const mapping = elements[element.tag];
+        if (!mapping) {
+            if (element.children.length > 0) {
+                throw new BehaviorTreeError(Errors.UNKNOWN_CONTROL_ELEMENT, {path: element.tag});
+            }
+
+            const id        = ["Action", "Condition"].includes(element.tag) ? attributes.ID : element.tag;
+            const nodeClass = element.tag === "Condition" ? ConditionNode : ActionNode;
+            const node      = TreeSerializer.createAction(nodeClass, attributes.name || id, context.registry, id);
+            if (node.name !== id) {
+                node.id = id;
+            }
+
+            return node;
+        }
+
+        const forever    = mapping.forever && Number(attributes[mapping.forever.attribute]) === -1;
+        const type       = forever ? mapping.forever.type : mapping.type;
+        const definition = context.nodeRegistry.get(type);
+        const params     = forever ? {} : mapping.params(attributes);
+        const node       = context.nodeRegistry.create(
+            type,
+            attributes.name || element.tag,
+            ...definition.params.map((p) => params[p]),
+        );
+        element.children.forEach((c) => node.addChild(TreeXml.createNode(c, context)));
+
+        return node;
+    }
+
+    /**
+     * Build a SubtreeNode holding a copy of the tree it refers to.
+     *
+     * @param {{tag: string, attributes: object, children: object[]}} element
+     * @param {object}                                                  context
+     * @returns {SubtreeNode}
+     */
+    static createSubtree(element, context) {
+        const {ID: id, name, _autoremap, ...ports} = element.attributes;
+        const remapping = {};
+        const params    = {};
+        Object.entries(ports).forEach(([port, value]) => {
+            const key = /^\{(.+)\}$/.exec(value);
+            if (key) {
+                remapping[port] = key[1];
+            } else {
+                params[port] = value;
+            }
+        });
+
+        const node = new SubtreeNode(
+            name || id,
+            id,
+            Object.keys(remapping).length > 0 ? remapping : undefined,
+            Object.keys(params).length > 0 ? params : undefined,
+        );
+        node.addChild(TreeXml.createTree(id, context));
+
+        return node;
+    }
+
+    /**
+     * Write the element of a node and its children.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {number}                    depth
+     * @param {object}                    context
+     */
+    static writeNode(node, depth, context) {
+        const indent = "    ".repeat(depth);
+        if (node instanceof SubtreeNode) {
+            const ports = {};
+            Object.entries(node.remapping || {}).forEach(([port, key]) => ports[port] = `{${key}}`);
+            Object.assign(ports, node.params);
+            if (!context.trees.has(node.subtree)) {
+                context.trees.set(node.subtree, node.childNode);
+            }
+            const attributes = {ID: node.subtree, ...TreeXml.named(node, node.subtree), ...ports};
+            context.lines.push(`${indent}${TreeXml.element("SubTree", attributes)}`);
+
+            return;
+        }
+        if ([ActionNode, AsyncActionNode, ConditionNode].includes(node.constructor)) {
+            const tag = node instanceof ConditionNode ? "Condition" : "Action";
+            const id  = node.id || node.name;
+            context.lines.push(`${indent}${TreeXml.element(tag, {ID: id, ...TreeXml.named(node, id)})}`);
+
+            return;
+        }
+
+        const children = node.childNode ? [node.childNode] : node.children;
+        const [tag, parameters] = TreeXml.elementOf(node, children, context.nodeRegistry) || [];
+        if (!tag) {
+            throw new BehaviorTreeError(Errors.UNSERIALIZABLE_NODE, {path: node.name});
+        }
+
+        const attributes = {...TreeXml.named(node, tag), ...parameters};
+        context.lines.push(`${indent}${TreeXml.element(tag, attributes, children.length > 0)}`);
+        if (children.length > 0) {
+            children.forEach((c) => TreeXml.writeNode(c, depth + 1, context));
+            context.lines.push(`${indent}</${tag}>`);
+        }
+    }
+
+    /**
+     * The element of a control or decorator node, with the attributes of its parameters. A loop over a single child
+     * without a count is written as the element that repeats forever, with a count of -1.
+     *
+     * @param {BehaviorTreeNodeInterface}   node
+     * @param {BehaviorTreeNodeInterface[]} children
+     * @param {NodeRegistry}                nodeRegistry
+     * @returns {[string, object]|undefined}
+     */
+    static elementOf(node, children, nodeRegistry) {
+        const definition = nodeRegistry.typeOf(node);
+        if (!definition) {
+            return undefined;
+        }
+
+        for (const [tag, mapping] of Object.entries(elements)) {
+            const forever = mapping.forever;
+            if (mapping.type === definition.type) {
+                return [tag, mapping.attributes(node)];
+            }
+            if (forever && forever.type === definition.type && children.length === 1
+                && node[forever.param] === undefined) {
+                return [tag, {[forever.attribute]: -1}];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * The name attribute of a node, when its name differs from its ID or element.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {string}                    id
+     * @returns {object}
+     */
+    static named(node, id) {
+        return node.name === id ? {} : {name: node.name};
+    }
+
+    /**
+     * An opening tag, self-closing unless the element has children.
+     *
+     * @param {string}            tag
+     * @param {Object<string, *>} attributes
+     * @param {boolean}           hasChildren
+     * @returns {string}
+     */
+    static element(tag, attributes, hasChildren = false) {
+        const text = Object.entries(attributes)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => ` ${key}="${TreeXml.escape(String(value))}"`)
+            .join("");
+
+        return `<${tag}${text}${hasChildren ? "" : "/"}>`;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    static escape(text) {
+        return text.replace(/[&<>"']/g, (c) => entities[c]);
+    }
+
+    /**
+     * Replaces the predefined entities and character references. Entity names are case-sensitive in XML, so anything
+     * else, such as `&AMP;`, is left as it is.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    static unescape(text) {
+        return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[\da-fA-F]+);/g, (entity, name) => {
+            if (name[0] === "#") {
+                return String.fromCodePoint(name[1] === "x"
+                    ? parseInt(name.slice(2), 16)
+                    : parseInt(name.slice(1), 10));
+            }
+
+            return Object.keys(entities).find((c) => entities[c] === entity);
+        });
+    }
+
+    /**
+     * The root element of an XML document, with the attributes and child elements of each element. Text,
+     * comments, processing instructions and declarations are skipped.
+     *
+     * @param {string} xml
+     * @returns {{tag: string, attributes: Object<string, string>, children: object[]}}
+     */
+    static readXml(xml) {
+        const pattern  = new RegExp(tokens, "g");
+        const document = {tag: undefined, attributes: {}, children: []};
+        const open     = [document];
+
+        let match;
+        let position = 0;
+        while (position < xml.length) {
+            pattern.lastIndex = position;
+            match = pattern.exec(xml);
+            if (!match || match.index !== position) {
+                throw new BehaviorTreeError(Errors.INVALID_XML);
+            }
+            position = pattern.lastIndex;
+
+            const [, closing, tag, attributes, selfClosing] = match;
+            if (closing) {
+                if (open.length === 1 || open[open.length - 1].tag !== closing) {
+                    throw new BehaviorTreeError(Errors.INVALID_XML);
+                }
+                open.pop();
+            } else if (tag) {
+                const element = {tag, attributes: {}, children: []};
+                const attribute = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                let a;
+                while ((a = attribute.exec(attributes)) !== null) {
+                    element.attributes[a[1]] = TreeXml.unescape(a[2] !== undefined ? a[2] : a[3]);
+                }
+                open[open.length - 1].children.push(element);
+                if (!selfClosing) {
+                    open.push(element);
+                }
+            }
+        }
+
+        if (open.length > 1 || document.children.length !== 1) {
+            throw new BehaviorTreeError(Errors.INVALID_XML);
+        }
+
+        return document.children[0];
+    }
+}
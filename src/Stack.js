@@ -35,4 +35,13 @@ export default class Stack {
       return this._topNode.data;
   }
 
+  toArray() {
+      // the values from the bottom of the stack to the top
+      const values = [];
+      for (let node = this._topNode; node !== undefined; node = node.previous) {
+          values.unshift(node.data);
+      }
+      return values;
+  }
+
 }
@@ -1,14 +1,94 @@
+import BehaviorTreeStatus from "./BehaviorTreeStatus.js";
+import Blackboard from "./Blackboard.js";
+import BehaviorTreeError from "./Error/BehaviorTreeError.js";
+import ErrorPolicy from "./ErrorPolicy.js";
+import Tracer from "./Tracer.js";
+
+/**
+ * Runtime state of the nodes that are ticked without a TreeInstance, keyed by node.
+ *
+ * @type {WeakMap<BehaviorTreeNodeInterface, object>}
+ */
+const sharedMemory = new WeakMap();
+
 /**
  * Represents time and state. Used to pass time values to behavior tree nodes.
  *
- * @property {number} deltaTime - The current time of this state representation
- * @property {object} state     - Any state data you would like to pass to the nodes.
+ * @property {number}       deltaTime  - The current time of this state representation
+ * @property {object}       state      - Any state data you would like to pass to the nodes.
+ * @property {Blackboard}   blackboard - Blackboard of the tree. By default it stores its values in `state`.
+ * @property {TreeInstance} instance   - The tree instance being ticked, if any.
  */
 export default class StateData {
     deltaTime;
     state;
-    constructor( deltaTime = 0, state = {}) {
+    blackboard;
+    instance;
+    constructor( deltaTime = 0, state = {}, blackboard = Blackboard.of(state), instance = undefined) {
         this.deltaTime = deltaTime;
         this.state = state;
+        this.blackboard = blackboard;
+        this.instance = instance;
+    }
+
+    /**
+     * Runtime state of a node, such as its running child or counters. It belongs to the tree instance being ticked,
+     * so a single tree can be ticked for many agents. Nodes ticked without an instance share a single memory.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {object}
+     */
+    memoryOf(node) {
+        const memories = this.instance ? this.instance.memory : sharedMemory;
+        let memory = memories.get(node);
+        if (!memory) {
+            memory = {};
+            memories.set(node, memory);
+        }
+
+        return memory;
+    }
+
+    /**
+     * Called by a node whose function threw or rejected. The error is wrapped in a BehaviorTreeError that tells the
+     * path of the node and the number of the tick, then handled by the error policy of the instance. Without an
+     * instance, the error is thrown, and its path and tick are only known when a Tracer is attached to the tree.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {*}                         error
+     * @returns {BehaviorTreeStatus}
+     */
+    handleError(node, error) {
+        if (!(error instanceof BehaviorTreeError && error.node)) {
+            const message  = error instanceof Error ? error.message : String(error);
+            const location = this.instance ? {path: this.instance.pathOf(node), tick: this.instance.ticks}
+                : Tracer.locate(node) || {path: node.name, tick: undefined};
+            error = new BehaviorTreeError(message, {
+                node,
+                path:     location.path,
+                tick:     location.tick,
+                instance: this.instance,
+                cause:    error,
+            });
+        }
+
+        const policy = this.instance ? this.instance.errorPolicy : ErrorPolicy.Propagate;
+        if (policy !== ErrorPolicy.Fail && typeof policy !== "function") {
+            throw error;
+        }
+
+        Tracer.handled(node, this, error);
+
+        return policy === ErrorPolicy.Fail ? BehaviorTreeStatus.Failure : policy(error, this);
+    }
+
+    /**
+     * Copy of this state that uses another blackboard.
+     *
+     * @param {Blackboard} blackboard
+     * @returns {StateData}
+     */
+    withBlackboard(blackboard) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, {blackboard, state: blackboard.data});
     }
 }
@@ -0,0 +1,26 @@
+/**
+ * The kinds of events emitted by a Tracer.
+ */
+class TraceEventType {
+    /**
+     * A node is about to be ticked.
+     */
+    static Enter = "ENTER"
+
+    /**
+     * A node finished its tick. The event carries the returned status.
+     */
+    static Exit = "EXIT"
+
+    /**
+     * A running node was halted.
+     */
+    static Halt = "HALT"
+
+    /**
+     * A node threw an error. The event carries the error.
+     */
+    static Error = "ERROR"
+}
+
+export default TraceEventType;
@@ -0,0 +1,304 @@
+import BehaviorTreeStatus from "./BehaviorTreeStatus.js";
+import TraceEventType from "./TraceEventType.js";
+import TreeWalker from "./TreeWalker.js";
+
+/**
+ * Node functions that are instrumented when a tracer is attached.
+ */
+const tracedFunctions = ["tick", "tickSync", "halt"];
+
+/**
+ * Tracers attached to the trees each node belongs to.
+ *
+ * @type {WeakMap<BehaviorTreeNodeInterface, Tracer[]>}
+ */
+const tracersOf = new WeakMap();
+
+/**
+ * The functions replaced on each instrumented node, to restore them when the last tracer detaches.
+ *
+ * @type {WeakMap<BehaviorTreeNodeInterface, {name: string, original: Function, own: boolean}[]>}
+ */
+const replacedOf = new WeakMap();
+
+/**
+ * Emits an event whenever a node of a tree is entered, exits, is halted or throws an error.
+ *
+ * Tracing is opt-in: the nodes are only instrumented while a tracer is attached, so a tree that isn't traced runs
+ * exactly as before. Tracers attached to the same nodes share a single instrumentation, which is removed when the
+ * last of them detaches, in any order.
+ *
+ * Events are objects of the form `{type, node, path, tick, state, status, error}`, where `type` is one of
+ * TraceEventType, `path` is the path of the node in the tree and `tick` counts the ticks of the root node.
+ *
+ * A tree can be shared by many tree instances, so tick counts and statuses are kept for each instance, and apart for
+ * the ticks without an instance.
+ *
+ * An error thrown by a node is emitted by the node and each of its ancestors it goes through. An error that the error
+ * policy of the instance turns into a status is emitted by the failing node only, before it exits with that status.
+ */
+export default class Tracer {
+    /**
+     * @type {((event: object) => void)[]}
+     */
+    listeners = [];
+
+    /**
+     * Number of times the root node of the tree was ticked without a tree instance.
+     */
+    tickCount = 0;
+
+    /**
+     * Last status returned by each node ticked without a tree instance, keyed by path.
+     *
+     * @type {Map<string, string>}
+     */
+    statuses = new Map();
+
+    /**
+     * Tick count and last statuses of each tree instance.
+     *
+     * @type {WeakMap<TreeInstance, {tickCount: number, statuses: Map<string, string>}>}
+     */
+    instances = new WeakMap();
+
+    /**
+     * The root node of the traced tree.
+     */
+    tree;
+
+    /**
+     * Paths of the instrumented nodes.
+     *
+     * @type {Map<BehaviorTreeNodeInterface, string>}
+     */
+    paths = new Map();
+
+    /**
+     * Start tracing a tree.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @returns {Tracer}
+     */
+    attach(tree) {
+        this.detach();
+        this.tree = tree;
+        TreeWalker.walk(tree, (node, path) => {
+            if (this.paths.has(node)) {
+                return;
+            }
+
+            this.paths.set(node, path);
+            if (!tracersOf.has(node)) {
+                Tracer.instrument(node);
+            }
+            tracersOf.set(node, (tracersOf.get(node) || []).concat(this));
+        });
+
+        return this;
+    }
+
+    /**
+     * Stop tracing, restoring the nodes that no other tracer traces.
+     *
+     * @returns {Tracer}
+     */
+    detach() {
+        for (const node of this.paths.keys()) {
+            const tracers = tracersOf.get(node).filter((t) => t !== this);
+            if (tracers.length > 0) {
+                tracersOf.set(node, tracers);
+            } else {
+                tracersOf.delete(node);
+                Tracer.restore(node);
+            }
+        }
+        this.paths.clear();
+        this.tree = undefined;
+
+        return this;
+    }
+
+    /**
+     * Listen for trace events.
+     *
+     * @param {(event: object) => void} listener
+     * @returns {() => void} Function removing the listener.
+     */
+    on(listener) {
+        this.listeners.push(listener);
+
+        return () => {
+            this.listeners = this.listeners.filter((l) => l !== listener);
+        };
+    }
+
+    /**
+     * Last status returned by each node, keyed by path, when ticking an instance, or when ticking without one.
+     *
+     * @param {TreeInstance} [instance]
+     * @returns {Map<string, string>}
+     */
+    statusesOf(instance) {
+        return this.runOf(instance).statuses;
+    }
+
+    /**
+     * The tick count and statuses of an instance, or of the ticks without an instance.
+     *
+     * @param {TreeInstance} [instance]
+     * @returns {{tickCount: number, statuses: Map<string, string>}}
+     */
+    runOf(instance) {
+        if (!instance) {
+            return this;
+        }
+
+        let run = this.instances.get(instance);
+        if (!run) {
+            run = {tickCount: 0, statuses: new Map()};
+            this.instances.set(instance, run);
+        }
+
+        return run;
+    }
+
+    /**
+     * Describe an event on a single line, for logging.
+     *
+     * @param {object} event
+     * @returns {string}
+     */
+    static format(event) {
+        const detail = event.type === TraceEventType.Exit ? ` ${event.status}`
+            : event.type === TraceEventType.Error ? ` ${event.error}` : "";
+
+        return `#${event.tick} ${event.path} ${event.type}${detail}`;
+    }
+
+    /**
+     * Where a node is in a traced tree: its path, and the number of the tick of the tree. Errors use it to tell where
+     * they happened when the tree is ticked without an instance.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {{path: string, tick: number}|undefined}
+     */
+    static locate(node) {
+        const tracers = tracersOf.get(node);
+
+        return tracers && {path: tracers[0].paths.get(node), tick: tracers[0].tickCount};
+    }
+
+    /**
+     * Emit an error that the error policy turned into a status, which the instrumented functions don't see.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {StateData}                 state
+     * @param {BehaviorTreeError}         error
+     */
+    static handled(node, state, error) {
+        (tracersOf.get(node) || []).forEach((t) => t.emit(TraceEventType.Error, node, state, {error}));
+    }
+
+    emit(type, node, state, details = {}) {
+        if (this.listeners.length === 0) {
+            return;
+        }
+
+        const tick  = this.runOf(state.instance).tickCount;
+        const event = Object.assign({type, node, path: this.paths.get(node), tick, state}, details);
+        this.listeners.forEach((l) => l(event));
+    }
+
+    /**
+     * Replace the functions of a node with ones that emit trace events to the tracers of the node.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     */
+    static instrument(node) {
+        replacedOf.set(node, tracedFunctions.filter((f) => typeof node[f] === "function").map((name) => {
+            const original = node[name];
+            const own      = node.hasOwnProperty(name);
+            node[name] = name === "halt"
+                ? (state) => Tracer.traceHalt(node, original, state)
+                : (state) => Tracer.traceTick(node, original, state);
+
+            return {name, original, own};
+        }));
+    }
+
+    /**
+     * Put back the functions of a node replaced by instrument.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     */
+    static restore(node) {
+        for (const {name, original, own} of replacedOf.get(node)) {
+            if (own) {
+                node[name] = original;
+            } else {
+                delete node[name];
+            }
+        }
+        replacedOf.delete(node);
+    }
+
+    static traceTick(node, tick, state) {
+        const tracers = tracersOf.get(node) || [];
+        tracers.forEach((t) => t.enter(node, state));
+
+        let result;
+        try {
+            result = tick.call(node, state);
+        } catch (error) {
+            tracers.forEach((t) => t.emit(TraceEventType.Error, node, state, {error}));
+            throw error;
+        }
+
+        if (!result || typeof result.then !== "function") {
+            tracers.forEach((t) => t.exit(node, state, result));
+
+            return result;
+        }
+
+        return result.then(
+            (status) => {
+                tracers.forEach((t) => t.exit(node, state, status));
+
+                return status;
+            },
+            (error) => {
+                tracers.forEach((t) => t.emit(TraceEventType.Error, node, state, {error}));
+                throw error;
+            },
+        );
+    }
+
+    static traceHalt(node, halt, state) {
+        const tracers = tracersOf.get(node) || [];
+        const running = tracers.filter((t) => t.statusOf(node, state) === BehaviorTreeStatus.Running);
+        halt.call(node, state);
+        running.forEach((t) => t.halted(node, state));
+    }
+
+    enter(node, state) {
+        if (node === this.tree) {
+            this.runOf(state.instance).tickCount++;
+        }
+        this.emit(TraceEventType.Enter, node, state);
+    }
+
+    statusOf(node, state) {
+        return this.statusesOf(state.instance).get(this.paths.get(node));
+    }
+
+    halted(node, state) {
+        this.statusesOf(state.instance).delete(this.paths.get(node));
+        this.emit(TraceEventType.Halt, node, state);
+    }
+
+    exit(node, state, status) {
+        this.statusesOf(state.instance).set(this.paths.get(node), status);
+        this.emit(TraceEventType.Exit, node, state, {status});
+    }
+}
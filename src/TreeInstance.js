@@ -0,0 +1,293 @@
+import BehaviorTreeStatus from "./BehaviorTreeStatus.js";
+import Blackboard from "./Blackboard.js";
+import ErrorPolicy from "./ErrorPolicy.js";
+import ActionNode from "./Node/ActionNode.js";
+import TreeSnapshot from "./Serialization/TreeSnapshot.js";
+import StateData from "./StateData.js";
+import TreeWalker from "./TreeWalker.js";
+
+/**
+ * The runtime state of one agent running a tree.
+ *
+ * A built tree is only a definition: every node keeps its running child, counters and other state that changes
+ * while ticking in the memory of the instance being ticked. One tree can then be shared by any number of instances.
+ *
+ * When the tree is running only because of WaitForNodes, the instance falls asleep: its ticks return Running without
+ * ticking the tree, until a blackboard key or an event the nodes wait for changes, or their time elapses. Running
+ * actions keep the instance awake, and so do other nodes that need another tick by calling requestTick. Nodes with a
+ * deadline, such as timeouts, wake the instance up when it is reached.
+ *
+ * @property {BehaviorTreeNodeInterface}                     tree        - The root node of the tree.
+ * @property {Blackboard}                                    blackboard  - The blackboard of the agent.
+ * @property {string|((error, state) => BehaviorTreeStatus)} errorPolicy - What happens when an action throws, see
+ *                                                                         ErrorPolicy.
+ * @property {number}                                        ticks       - How many times the tree was ticked.
+ */
+export default class TreeInstance {
+    tree;
+    blackboard;
+    errorPolicy;
+    ticks = 0;
+
+    /**
+     * Runtime state of each node.
+     *
+     * @type {WeakMap<BehaviorTreeNodeInterface, object>}
+     */
+    memory = new WeakMap();
+
+    /**
+     * What wakes up the instance, collected while ticking and kept while it is asleep.
+     *
+     * @type {{events: Set<string>, ms: number, elapsed: number, woken: boolean, unsubscribe: Function[]}}
+     */
+    wakeup;
+
+    /**
+     * Whether the tree was running only because of WaitForNodes after the last tick, and nothing woke it up since.
+     *
+     * @type {boolean}
+     */
+    asleep = false;
+
+    /**
+     * Path of each node, built when an error first needs one.
+     *
+     * @type {Map<BehaviorTreeNodeInterface, string>}
+     */
+    paths;
+
+    constructor(tree, blackboard = new Blackboard(), errorPolicy = ErrorPolicy.Propagate) {
+        this.tree = tree;
+        this.blackboard = blackboard;
+        this.errorPolicy = errorPolicy;
+    }
+
+    /**
+     * Create the state passed to the tree when ticking this instance.
+     *
+     * @param {number} deltaTime
+     * @returns {StateData}
+     */
+    createState(deltaTime = 0) {
+        return new StateData(deltaTime, this.blackboard.data, this.blackboard, this);
+    }
+
+    /**
+     * @param {number} deltaTime
+     * @returns {Promise<BehaviorTreeStatus>}
+     */
+    async tick(deltaTime = 0) {
+        deltaTime = this.pass(deltaTime);
+        if (this.asleep) {
+            return BehaviorTreeStatus.Running;
+        }
+
+        this.startTick();
+
+        return this.endTick(await this.tree.tick(this.createState(deltaTime)));
+    }
+
+    /**
+     * Synchronous version of tick, for trees whose nodes don't return promises.
+     *
+     * @param {number} deltaTime
+     * @returns {BehaviorTreeStatus}
+     */
+    tickSync(deltaTime = 0) {
+        deltaTime = this.pass(deltaTime);
+        if (this.asleep) {
+            return BehaviorTreeStatus.Running;
+        }
+
+        this.startTick();
+
+        return this.endTick(this.tree.tickSync(this.createState(deltaTime)));
+    }
+
+    /**
+     * Called by a WaitForNode that is running: wake up the instance when one of the keys of the blackboard changes,
+     * one of the events is emitted, or the time elapses.
+     *
+     * @param {Blackboard} blackboard
+     * @param {string[]}   keys
+     * @param {string[]}   events
+     * @param {number}     [ms]
+     */
+    waitFor(blackboard, keys, events, ms) {
+        const wakeup = this.wakeup;
+        if (!wakeup) {
+            return;
+        }
+
+        keys.forEach((key) => wakeup.unsubscribe.push(blackboard.onChange(key, () => this.wake())));
+        events.forEach((event) => wakeup.events.add(event));
+        if (ms !== undefined) {
+            this.wakeAfter(ms);
+        }
+    }
+
+    /**
+     * Called by a node with a deadline, such as a TimeoutNode: the instance may sleep, but must wake up once the
+     * time has elapsed.
+     *
+     * @param {number} ms
+     */
+    wakeAfter(ms) {
+        if (this.wakeup) {
+            this.wakeup.ms = Math.min(this.wakeup.ms, Math.max(ms, 0));
+        }
+    }
+
+    /**
+     * Called by a node that is running for another reason than waiting, such as a loop that stopped for the tick:
+     * the instance stays awake for the next tick.
+     */
+    requestTick() {
+        if (this.wakeup) {
+            this.wakeup.woken = true;
+        }
+    }
+
+    /**
+     * Notify the instance of an external event, waking it up if it waits for the event.
+     *
+     * @param {string} event
+     */
+    emit(event) {
+        if (this.wakeup && this.wakeup.events.has(event)) {
+            this.wake();
+        }
+    }
+
+    /**
+     * Tick the tree on the next tick, even if nothing it waits for happened.
+     */
+    wake() {
+        if (this.wakeup) {
+            this.wakeup.woken = true;
+        }
+        this.asleep = false;
+    }
+
+    /**
+     * Count the time passing while asleep, waking up when the time to wait has elapsed. Returns the time since the
+     * tree was last ticked.
+     *
+     * @param {number} deltaTime
+     * @returns {number}
+     */
+    pass(deltaTime) {
+        if (!this.wakeup) {
+            return deltaTime;
+        }
+
+        this.wakeup.elapsed += deltaTime;
+        if (this.wakeup.elapsed >= this.wakeup.ms) {
+            this.wake();
+        }
+
+        return this.wakeup.elapsed;
+    }
+
+    startTick() {
+        this.ticks++;
+        this.cancelWakeup();
+        this.wakeup = {events: new Set(), ms: Infinity, elapsed: 0, woken: false, unsubscribe: []};
+    }
+
+    /**
+     * Fall asleep if the tree is running only because of WaitForNodes, and nothing woke it up during the tick.
+     *
+     * @param {BehaviorTreeStatus} status
+     * @returns {BehaviorTreeStatus}
+     */
+    endTick(status) {
+        const wakeup  = this.wakeup;
+        const waiting = wakeup.unsubscribe.length > 0 || wakeup.events.size > 0 || wakeup.ms < Infinity;
+        if (status !== BehaviorTreeStatus.Running || !waiting || this.isBusy()) {
+            this.cancelWakeup();
+        } else {
+            this.asleep = !wakeup.woken;
+        }
+
+        return status;
+    }
+
+    /**
+     * Whether an action of the tree is running, which keeps the instance awake.
+     *
+     * @returns {boolean}
+     */
+    isBusy() {
+        let busy = false;
+        TreeWalker.walk(this.tree, (node) => {
+            busy = busy || (node instanceof ActionNode && !!(this.memory.get(node) || {}).running);
+        });
+
+        return busy;
+    }
+
+    /**
+     * Stop listening for what wakes up the instance.
+     */
+    cancelWakeup() {
+        if (this.wakeup) {
+            this.wakeup.unsubscribe.forEach((u) => u());
+            this.wakeup = undefined;
+        }
+        this.asleep = false;
+    }
+
+    /**
+     * The path of a node of the tree, e.g. "root/flee/run".
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {string}
+     */
+    pathOf(node) {
+        if (!this.paths) {
+            this.paths = new Map();
+            TreeWalker.walk(this.tree, (n, path) => this.paths.set(n, path));
+        }
+
+        return this.paths.get(node) || node.name;
+    }
+
+    /**
+     * Halt the running nodes of this instance.
+     */
+    halt() {
+        this.cancelWakeup();
+        this.tree.halt(this.createState());
+    }
+
+    /**
+     * The runtime state of this instance, see TreeSnapshot.
+     *
+     * @returns {Object<string, object>}
+     */
+    snapshot() {
+        return TreeSnapshot.snapshot(this.tree, this);
+    }
+
+    /**
+     * Put this instance back into the state of a snapshot. The instance is awake afterwards.
+     *
+     * @param {Object<string, object>} snapshot
+     */
+    restore(snapshot) {
+        this.cancelWakeup();
+        TreeSnapshot.restore(this.tree, snapshot, this);
+    }
+
+    /**
+     * Halt the running nodes and forget all runtime state, as if the instance had just been created. The blackboard
+     * is kept.
+     */
+    reset() {
+        this.halt();
+        this.memory = new WeakMap();
+        this.ticks = 0;
+    }
+}
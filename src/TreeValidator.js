@@ -0,0 +1,104 @@
+import BehaviorTreeError from "./Error/BehaviorTreeError.js";
+import Errors from "./Error/Errors.js";
+import ActionNode from "./Node/ActionNode.js";
+import NodeKind from "./NodeKind.js";
+import NodeRegistry from "./NodeRegistry.js";
+import TreeWalker from "./TreeWalker.js";
+
+/**
+ * Finds the problems of a built tree that would otherwise only be discovered when it is ticked, or never.
+ *
+ * Nodes can check themselves with a validate function that throws a BehaviorTreeError, in which case the other
+ * checks of the node are skipped.
+ */
+export default class TreeValidator {
+    /**
+     * The problems of a tree, in the order its nodes are walked. An empty list means the tree is valid.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {NodeRegistry}              nodeRegistry
+     * @returns {{path: string, node: BehaviorTreeNodeInterface, message: string}[]}
+     */
+    static validate(tree, nodeRegistry = NodeRegistry.default) {
+        const diagnostics = [];
+        const paths       = new Set();
+
+        TreeWalker.walk(tree, (node, path) => {
+            const report = (message) => diagnostics.push({path, node, message});
+
+            if (paths.has(path)) {
+                report(Errors.DUPLICATE_NODE_PATH);
+            }
+            paths.add(path);
+
+            if (typeof node.validate === "function") {
+                try {
+                    node.validate();
+                } catch (error) {
+                    if (!(error instanceof BehaviorTreeError)) {
+                        throw error;
+                    }
+                    report(error.message);
+
+                    return;
+                }
+            }
+
+            const kind = TreeValidator.kindOf(node, nodeRegistry);
+            if (kind === NodeKind.Composite && node.children.length === 0) {
+                report(Errors.EMPTY_COMPOSITE);
+            }
+            if (kind === NodeKind.Decorator && !node.childNode) {
+                report(Errors.DECORATOR_NO_CHILDREN);
+            }
+            if (node instanceof ActionNode && typeof node.fn !== "function") {
+                report(Errors.ACTION_NO_FUNCTION);
+            }
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Throws an error listing the problems of a tree, if it has any.
+     *
+     * @param {BehaviorTreeNodeInterface} tree
+     * @param {NodeRegistry}              nodeRegistry
+     */
+    static assertValid(tree, nodeRegistry = NodeRegistry.default) {
+        const diagnostics = TreeValidator.validate(tree, nodeRegistry);
+        if (diagnostics.length > 0) {
+            const lines = diagnostics.map((d) => `    ${TreeValidator.format(d)}`);
+            throw new BehaviorTreeError([Errors.INVALID_TREE, ...lines].join("\n"), {diagnostics});
+        }
+    }
+
+    /**
+     * A line of text describing a problem, e.g. "root/flee: Composite node has no children."
+     *
+     * @param {{path: string, message: string}} diagnostic
+     * @returns {string}
+     */
+    static format(diagnostic) {
+        return `${diagnostic.path}: ${diagnostic.message}`;
+    }
+
+    /**
+     * The kind of a node, from its registered type or else from its properties.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {NodeRegistry}              nodeRegistry
+     * @returns {string}
+     */
+    static kindOf(node, nodeRegistry) {
+        const definition = nodeRegistry.typeOf(node);
+        if (definition) {
+            return definition.kind;
+        }
+        if (Array.isArray(node.children)) {
+            return NodeKind.Composite;
+        }
+
+        return "childNode" in node ? NodeKind.Decorator : NodeKind.Leaf;
+    }
+}
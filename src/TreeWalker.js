@@ -0,0 +1,60 @@
+/**
+ * Helpers for walking a built tree.
+ */
+export default class TreeWalker {
+    /**
+     * The children of a node: the children of composite nodes, or the single child of decorator nodes.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {BehaviorTreeNodeInterface[]}
+     */
+    static childrenOf(node) {
+        if (node.children) {
+            return node.children;
+        }
+
+        return node.childNode ? [node.childNode] : [];
+    }
+
+    /**
+     * Visit a node and all of its descendants, depth first, with the path of each node. The path of a node is the
+     * names of its ancestors and itself joined by "/", e.g. "root/patrol/move-to".
+     *
+     * @param {BehaviorTreeNodeInterface}                                                       node
+     * @param {(node: BehaviorTreeNodeInterface, path: string, parent: BehaviorTreeNodeInterface) => void} visitor
+     * @param {string}                                                                          [parentPath]
+     * @param {BehaviorTreeNodeInterface}                                                       [parent]
+     */
+    static walk(node, visitor, parentPath, parent) {
+        const path = TreeWalker.pathOf(node, parentPath);
+        visitor(node, path, parent);
+        TreeWalker.childrenOf(node).forEach((c) => TreeWalker.walk(c, visitor, path, node));
+    }
+
+    /**
+     * Copy a node and all of its descendants. The copies have their own runtime state.
+     *
+     * @param {BehaviorTreeNodeInterface} node
+     * @returns {BehaviorTreeNodeInterface}
+     */
+    static copy(node) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(node)), node);
+        if (Array.isArray(node.children)) {
+            copy.children = node.children.map((c) => TreeWalker.copy(c));
+        }
+        if (node.childNode) {
+            copy.childNode = TreeWalker.copy(node.childNode);
+        }
+
+        return copy;
+    }
+
+    /**
+     * @param {BehaviorTreeNodeInterface} node
+     * @param {string}                    [parentPath]
+     * @returns {string}
+     */
+    static pathOf(node, parentPath) {
+        return parentPath === undefined ? node.name : `${parentPath}/${node.name}`;
+    }
+}
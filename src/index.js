@@ -1,23 +1,109 @@
 import BehaviorTreeBuilder from "./BehaviorTreeBuilder.js";
+import BehaviorTreeRunner from "./BehaviorTreeRunner.js";
+import Blackboard from "./Blackboard.js";
 import BehaviorTreeStatus from "./BehaviorTreeStatus.js";
+import TraceHistory from "./Debug/TraceHistory.js";
+import TreeVisualizer from "./Debug/TreeVisualizer.js";
 import BehaviorTreeErorr from "./Error/BehaviorTreeError.js";
 import Errors from "./Error/Errors.js";
+import ErrorPolicy from "./ErrorPolicy.js";
 import ActionNode from "./Node/ActionNode.js";
+import AsyncActionNode from "./Node/AsyncActionNode.js";
+import BlackboardScopeNode from "./Node/BlackboardScopeNode.js";
+import CatchNode from "./Node/CatchNode.js";
+import ConditionNode from "./Node/ConditionNode.js";
+import CooldownNode from "./Node/CooldownNode.js";
+import FailerNode from "./Node/FailerNode.js";
+import GuardNode from "./Node/GuardNode.js";
+import IfNode from "./Node/IfNode.js";
 import InverterNode from "./Node/InverterNode.js";
 import ParallelNode from "./Node/ParallelNode.js";
+import RandomSelectorNode from "./Node/RandomSelectorNode.js";
+import RandomSequenceNode from "./Node/RandomSequenceNode.js";
+import ReactiveSelectorNode from "./Node/ReactiveSelectorNode.js";
+import ReactiveSequenceNode from "./Node/ReactiveSequenceNode.js";
+import RepeatNode from "./Node/RepeatNode.js";
+import RepeatNNode from "./Node/RepeatNNode.js";
+import RetryNode from "./Node/RetryNode.js";
 import SelectorNode from "./Node/SelectorNode.js";
 import SequenceNode from "./Node/SequenceNode.js";
+import SubtreeNode from "./Node/SubtreeNode.js";
+import SucceederNode from "./Node/SucceederNode.js";
+import TimeoutNode from "./Node/TimeoutNode.js";
+import UntilFailNode from "./Node/UntilFailNode.js";
+import UntilSuccessNode from "./Node/UntilSuccessNode.js";
+import UtilityNode from "./Node/UtilityNode.js";
+import UtilitySelectorNode from "./Node/UtilitySelectorNode.js";
+import WaitForNode from "./Node/WaitForNode.js";
+import WeightedSelectorNode from "./Node/WeightedSelectorNode.js";
+import NodeKind from "./NodeKind.js";
+import NodeRegistry from "./NodeRegistry.js";
+import ParallelPolicy from "./ParallelPolicy.js";
+import Random from "./Random.js";
+import DiagramExporter from "./Serialization/DiagramExporter.js";
+import TreeSerializer from "./Serialization/TreeSerializer.js";
+import TreeSnapshot from "./Serialization/TreeSnapshot.js";
+import TreeText from "./Serialization/TreeText.js";
+import TreeXml from "./Serialization/TreeXml.js";
 import StateData from "./StateData.js";
+import TraceEventType from "./TraceEventType.js";
+import Tracer from "./Tracer.js";
+import TreeInstance from "./TreeInstance.js";
+import TreeValidator from "./TreeValidator.js";
+import TreeWalker from "./TreeWalker.js";
 
 export {
     BehaviorTreeBuilder,
     BehaviorTreeStatus,
     StateData,
+    TreeInstance,
+    BehaviorTreeRunner,
+    Blackboard,
     ActionNode,
+    AsyncActionNode,
+    BlackboardScopeNode,
+    CatchNode,
+    ConditionNode,
+    CooldownNode,
+    FailerNode,
+    GuardNode,
+    IfNode,
     InverterNode,
     ParallelNode,
+    RandomSelectorNode,
+    RandomSequenceNode,
+    ReactiveSelectorNode,
+    ReactiveSequenceNode,
+    RepeatNode,
+    RepeatNNode,
+    RetryNode,
     SelectorNode,
     SequenceNode,
+    SubtreeNode,
+    SucceederNode,
+    TimeoutNode,
+    UntilFailNode,
+    UntilSuccessNode,
+    UtilityNode,
+    UtilitySelectorNode,
+    WaitForNode,
+    WeightedSelectorNode,
+    NodeKind,
+    NodeRegistry,
+    ParallelPolicy,
+    Random,
+    TreeSerializer,
+    TreeSnapshot,
+    TreeText,
+    TreeXml,
+    DiagramExporter,
+    Tracer,
+    TraceEventType,
+    TraceHistory,
+    TreeVisualizer,
+    TreeValidator,
+    TreeWalker,
     BehaviorTreeErorr,
     Errors,
+    ErrorPolicy,
 };
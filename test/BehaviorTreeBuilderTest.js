@@ -7,6 +7,8 @@ import StateData from "../src/StateData.js";
 import SequenceNode from "../src/Node/SequenceNode.js";
 import ParallelNode from "../src/Node/ParallelNode.js";
 import SelectorNode from "../src/Node/SelectorNode.js";
+import ReactiveSelectorNode from "../src/Node/ReactiveSelectorNode.js";
+import ReactiveSequenceNode from "../src/Node/ReactiveSequenceNode.js";
 import Errors from "../src/Error/Errors.js";
 
 //let BehaviorTreeBuilder;
@@ -49,10 +51,50 @@ test("can't create an unbalanced behavior tree", async (assert) => {
     init();
 
     const error = assert.throws(() => {
-        testObject.inverter("some-inverter").do("some-node", async () => BehaviorTreeStatus.Success).build()
+        testObject
+            .sequence("some-sequence")
+                .inverter("some-inverter")
+                    .do("some-node", async () => BehaviorTreeStatus.Success)
+                .end()
+            .build()
     }, BehaviorTreeError);
 
-    assert.is(error.message, Errors.NO_NODES);
+    assert.is(error.message, `${Errors.UNCLOSED_NODE} (some-sequence)`);
+    assert.is(error.path, "some-sequence");
+});
+
+test("can't end more nodes than were created", async (assert) => {
+    init();
+
+    const error = assert.throws(() => {
+        testObject.sequence("some-sequence").do("some-node", async () => BehaviorTreeStatus.Success).end().end();
+    }, BehaviorTreeError);
+
+    assert.is(error.message, Errors.UNBALANCED_END);
+});
+
+test("strict build reports every problem of the tree", async (assert) => {
+    init();
+
+    const error = assert.throws(() => {
+        testObject
+            .sequence("root")
+                .selector("empty").end()
+                .inverter("not").end()
+                .parallel("flee", 3, 1)
+                    .do("run", async () => BehaviorTreeStatus.Success)
+                .end()
+            .end()
+            .build({strict: true});
+    }, BehaviorTreeError);
+
+    assert.deepEqual(["root/empty", "root/not", "root/flee"], error.diagnostics.map((d) => d.path));
+    assert.is(error.message, [
+        Errors.INVALID_TREE,
+        `    root/empty: ${Errors.EMPTY_COMPOSITE}`,
+        `    root/not: ${Errors.DECORATOR_NO_CHILDREN}`,
+        `    root/flee: ${Errors.PARALLEL_THRESHOLD_TOO_HIGH}`,
+    ].join("\n"));
 });
 
 test("condition is syntactic sugar for do", async (assert) => {
@@ -164,6 +206,132 @@ test("can create a selector", async (assert) => {
     assert.is(2, invokeCount);
 });
 
+test("can create a reactive selector", async (assert) => {
+    init();
+    let alarm = false;
+    let halted = false;
+    const selector = testObject
+        .reactiveSelector("some-selector")
+            .condition("fire-alarm", async () => alarm)
+            .do("wander", async () => BehaviorTreeStatus.Running, () => halted = true)
+        .end()
+        .build();
+
+    assert.is(ReactiveSelectorNode, selector.constructor);
+    assert.is(BehaviorTreeStatus.Running, await selector.tick(new StateData()));
+
+    alarm = true;
+    assert.is(BehaviorTreeStatus.Success, await selector.tick(new StateData()));
+    assert.true(halted);
+});
+
+test("can create a reactive sequence", async (assert) => {
+    init();
+    const sequence = testObject
+        .reactiveSequence("some-sequence")
+            .condition("some-condition", async () => true)
+            .do("some-action", async () => BehaviorTreeStatus.Running)
+        .end()
+        .build();
+
+    assert.is(ReactiveSequenceNode, sequence.constructor);
+    assert.is(BehaviorTreeStatus.Running, await sequence.tick(new StateData()));
+});
+
+test("can create decorators", async (assert) => {
+    init();
+    let invokeCount = 0;
+    const tree = testObject
+        .sequence("some-sequence")
+            .succeeder("some-succeeder")
+                .retry("some-retry", 2)
+                    .do("some-action", async () => {
+                        ++invokeCount;
+
+                        return BehaviorTreeStatus.Failure;
+                    })
+                .end()
+            .end()
+            .repeatN("some-repeat", 2)
+                .timeout("some-timeout", 100)
+                    .cooldown("some-cooldown", 100)
+                        .failer("some-failer")
+                            .inverter("some-inverter")
+                                .do("some-action", async () => BehaviorTreeStatus.Success)
+                            .end()
+                        .end()
+                    .end()
+                .end()
+            .end()
+        .end()
+        .build();
+
+    assert.is(BehaviorTreeStatus.Failure, await tree.tick(new StateData()));
+    assert.is(2, invokeCount);
+});
+
+test("can create a catch node falling back on another branch", async (assert) => {
+    init();
+    const tree = testObject
+        .selector("some-selector")
+            .catch("some-catch")
+                .do("some-action", async () => {
+                    throw new Error("broken");
+                })
+            .end()
+            .do("some-fallback", async () => BehaviorTreeStatus.Success)
+        .end()
+        .build();
+
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(new StateData()));
+});
+
+test("can create if nodes with then and else branches", async (assert) => {
+    init();
+    const log  = [];
+    const tree = testObject
+        .sequence("some-sequence")
+            .if("some-if", () => false)
+            .thenBranch()
+                .do("some-action", async () => BehaviorTreeStatus.Failure)
+            .elseBranch()
+                .do("other-action", async () => log.push("other") && BehaviorTreeStatus.Success)
+                .guard("some-guard", () => true)
+                    .do("guarded-action", async () => log.push("guarded") && BehaviorTreeStatus.Success)
+                .end()
+            .end()
+            .if("only-then", () => true)
+            .thenBranch()
+                .do("last-action", async () => log.push("last") && BehaviorTreeStatus.Success)
+            .end()
+        .end()
+        .build({strict: true});
+
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(new StateData()));
+    assert.deepEqual(["other", "guarded", "last"], log);
+    assert.deepEqual(["then", "else"], tree.children[0].children.map((c) => c.name));
+});
+
+test("then and else branches must follow if", (assert) => {
+    const misplaced = [
+        () => new BehaviorTreeBuilder().sequence("some-sequence").thenBranch(),
+        () => new BehaviorTreeBuilder().if("some-if", () => true).elseBranch(),
+        () => new BehaviorTreeBuilder().if("some-if", () => true).thenBranch().elseBranch().elseBranch(),
+    ];
+
+    misplaced.forEach((build) => {
+        const error = assert.throws(build, BehaviorTreeError);
+        assert.is(Errors.MISPLACED_BRANCH, error.message);
+    });
+});
+
+test("a builder isn't a thenable", async (assert) => {
+    const builder = new BehaviorTreeBuilder();
+
+    assert.is(builder, await builder.if("some-if", () => true));
+    assert.is(builder, await Promise.resolve(builder.thenBranch()));
+});
+
 test("can splice sub tree", async (assert) => {
     init();
     let invokeCount = 0;
@@ -189,6 +357,31 @@ test("can splice sub tree", async (assert) => {
     assert.is(2, invokeCount);
 });
 
+test("can splice sub tree with a scoped blackboard", async (assert) => {
+    init();
+    const spliced = new BehaviorTreeBuilder()
+        .sequence("flee")
+            .do("pick-target", async (t) => {
+                t.blackboard.set("target", "exit-2");
+                t.blackboard.set("visited", true);
+
+                return BehaviorTreeStatus.Success;
+            })
+        .end()
+        .build();
+
+    const tree = testObject
+        .sequence("parent-tree")
+            .splice(spliced, {target: "exit"})
+        .end()
+        .build();
+
+    const state = new StateData(0, {exit: "exit-1"});
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(state));
+    assert.is("exit-2", state.blackboard.get("exit"));
+    assert.false(state.blackboard.has("visited"));
+});
+
 test("splicing an unnested sub tree throws exception", async (assert) => {
     init();
     const error = assert.throws(() => {
@@ -201,3 +394,137 @@ test("splicing an unnested sub tree throws exception", async (assert) => {
     }, BehaviorTreeError);
     assert.is(error.message, Errors.SPLICE_UNNESTED_TREE);
 })
+
+
+test("halting a tree cleans up the running action", async (assert) => {
+    init();
+    let halted = false;
+    const tree = testObject
+        .selector("some-selector")
+            .do("some-action", async () => BehaviorTreeStatus.Running, () => halted = true)
+        .end()
+        .build();
+
+    await tree.tick(new StateData());
+    tree.halt(new StateData());
+
+    assert.true(halted);
+});
+
+test("async actions don't block the tick", async (assert) => {
+    let resolve;
+    const tree = new BehaviorTreeBuilder()
+        .sequence("some-sequence")
+            .doAsync("find-path", () => new Promise((r) => resolve = r))
+        .end()
+        .build();
+
+    const state = new StateData();
+    assert.is(BehaviorTreeStatus.Running, await tree.tick(state));
+    resolve(BehaviorTreeStatus.Success);
+    await Promise.resolve();
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(state));
+});
+
+test("each subtree reference runs its own copy", async (assert) => {
+    init();
+    const flee = new BehaviorTreeBuilder()
+        .sequence("flee")
+            .do("turn", async () => BehaviorTreeStatus.Success)
+            .do("run", async () => BehaviorTreeStatus.Running)
+        .end()
+        .build();
+
+    const tree = testObject
+        .defineSubtree("flee", flee)
+        .parallel("root", 0, 0)
+            .subtree("flee")
+            .subtree("flee")
+        .end()
+        .build();
+
+    const [first, second] = tree.children;
+    assert.is("flee", first.subtree);
+    assert.not(first.childNode, flee);
+    assert.not(first.childNode, second.childNode);
+    assert.not(first.childNode.children[0], second.childNode.children[0]);
+
+    const state = new StateData();
+    assert.is(BehaviorTreeStatus.Running, await tree.tick(state));
+    assert.is(undefined, state.memoryOf(flee).runningChild);
+    assert.is(first.childNode.children[1], state.memoryOf(first.childNode).runningChild);
+    assert.is(second.childNode.children[1], state.memoryOf(second.childNode).runningChild);
+});
+
+test("subtrees can be given parameters and a remapping", async (assert) => {
+    init();
+    let seen;
+    const evacuate = new BehaviorTreeBuilder()
+        .sequence("evacuate")
+            .do("go-to-exit", async (t) => {
+                seen = [t.blackboard.get("exit"), t.blackboard.get("speed")];
+                t.blackboard.set("exit", "used");
+
+                return BehaviorTreeStatus.Success;
+            })
+        .end()
+        .build();
+
+    const tree = testObject
+        .sequence("root")
+            .subtree("evacuate", {exit: "nearestExit"}, {speed: 2})
+        .end()
+        .defineSubtree("evacuate", evacuate)
+        .build();
+
+    const state = new StateData(0, {nearestExit: "north"});
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(state));
+    assert.deepEqual(["north", 2], seen);
+    assert.is("used", state.blackboard.get("nearestExit"));
+    assert.false(state.blackboard.has("speed"));
+});
+
+test("subtrees can't reference themselves", async (assert) => {
+    init();
+    const reference = (name, other) => new BehaviorTreeBuilder()
+        .sequence(name)
+            .subtree(other)
+        .end()
+        .build();
+
+    const error = assert.throws(() => {
+        testObject
+            .defineSubtree("flee", reference("flee", "hide"))
+            .defineSubtree("hide", reference("hide", "flee"))
+            .sequence("root")
+                .subtree("flee")
+            .end()
+            .build();
+    }, BehaviorTreeError);
+
+    assert.is(error.message, `${Errors.RECURSIVE_SUBTREE} (flee/hide/flee)`);
+});
+
+test("referencing an undefined subtree throws exception when ticked", async (assert) => {
+    init();
+    const tree = testObject
+        .sequence("root")
+            .subtree("flee")
+        .end()
+        .build();
+
+    const error = await assert.throws(tree.tick(new StateData()), BehaviorTreeError);
+    assert.is(error.message, `${Errors.UNKNOWN_SUBTREE} (flee)`);
+});
+
+test("referencing an undefined subtree fails a strict build", (assert) => {
+    const error = assert.throws(() => {
+        new BehaviorTreeBuilder()
+            .sequence("root")
+                .subtree("flee")
+            .end()
+            .build({strict: true});
+    }, BehaviorTreeError);
+
+    assert.deepEqual(error.diagnostics.map((d) => d.message), [`${Errors.UNKNOWN_SUBTREE} (flee)`]);
+});
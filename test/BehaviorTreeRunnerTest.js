@@ -0,0 +1,113 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../src/BehaviorTreeBuilder.js";
+import BehaviorTreeRunner from "../src/BehaviorTreeRunner.js";
+import BehaviorTreeStatus from "../src/BehaviorTreeStatus.js";
+import Blackboard from "../src/Blackboard.js";
+import TreeInstance from "../src/TreeInstance.js";
+
+/**
+ * Agents that record their name and delta time in a shared log each time they are ticked.
+ */
+function createAgents(runner, log, ...names) {
+    const tree = new BehaviorTreeBuilder()
+        .sequence("agent")
+            .do("log", (t) => {
+                log.push(`${t.blackboard.get("name")}:${t.deltaTime}`);
+
+                return BehaviorTreeStatus.Running;
+            })
+        .end()
+        .build();
+
+    return names.map((name) => runner.add(new TreeInstance(tree, new Blackboard({name}))));
+}
+
+test("ticks every agent on each update by default", async (assert) => {
+    const log    = [];
+    const runner = new BehaviorTreeRunner();
+    const [a]    = createAgents(runner, log, "a", "b");
+
+    await runner.update(16);
+    await runner.update(16);
+
+    assert.deepEqual(["a:16", "b:16", "a:16", "b:16"], log);
+    assert.is(BehaviorTreeStatus.Running, runner.statuses.get(a));
+});
+
+test("ticks agents at the given frequency", (assert) => {
+    const log    = [];
+    const runner = new BehaviorTreeRunner({frequency: 20});
+    createAgents(runner, log, "a");
+
+    [16, 16, 16, 16, 16, 16, 16, 16].forEach((dt) => runner.updateSync(dt));
+
+    assert.deepEqual(["a:64", "a:64"], log);
+});
+
+test("spreads the agents across updates when the budget is spent", (assert) => {
+    const log    = [];
+    let time     = 0;
+    const runner = new BehaviorTreeRunner({budget: 2, clock: () => time++});
+    createAgents(runner, log, "a", "b", "c");
+
+    runner.updateSync(10);
+    assert.deepEqual(["a:10", "b:10"], log);
+
+    runner.updateSync(10);
+    assert.deepEqual(["a:10", "b:10", "c:20", "a:10"], log);
+});
+
+test("can be paused, resumed and stepped", async (assert) => {
+    const log    = [];
+    const runner = new BehaviorTreeRunner({frequency: 10});
+    createAgents(runner, log, "a", "b");
+
+    runner.pause();
+    await runner.update(500);
+    assert.deepEqual([], log);
+
+    await runner.step();
+    assert.deepEqual(["a:100", "b:100"], log);
+
+    runner.resume();
+    await runner.update(100);
+    assert.deepEqual(["a:100", "b:100", "a:100", "b:100"], log);
+});
+
+test("removing an agent halts it", (assert) => {
+    const log      = [];
+    const runner   = new BehaviorTreeRunner();
+    const [a, b]   = createAgents(runner, log, "a", "b");
+    let haltCount  = 0;
+    a.halt         = () => ++haltCount;
+
+    runner.updateSync(16);
+    runner.remove(a);
+    runner.updateSync(16);
+
+    assert.is(1, haltCount);
+    assert.deepEqual([b], runner.instances);
+    assert.deepEqual(["a:16", "b:16", "b:16"], log);
+});
+
+test("events wake up the agents waiting for them", (assert) => {
+    let checks   = 0;
+    let fire     = false;
+    const runner = new BehaviorTreeRunner();
+    const tree   = new BehaviorTreeBuilder()
+        .sequence("agent")
+            .waitFor("alarm", () => ++checks > 0 && fire, {events: ["fire"]})
+        .end()
+        .build();
+    const agents = [runner.add(new TreeInstance(tree)), runner.add(new TreeInstance(tree))];
+
+    runner.updateSync(16);
+    runner.updateSync(16);
+    assert.is(2, checks);
+
+    fire = true;
+    runner.emit("fire");
+    runner.updateSync(16);
+    assert.is(4, checks);
+    assert.deepEqual([BehaviorTreeStatus.Success, BehaviorTreeStatus.Success], agents.map((a) => runner.statuses.get(a)));
+});
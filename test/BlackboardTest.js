@@ -0,0 +1,139 @@
+import test from "ava";
+import Blackboard from "../src/Blackboard.js";
+import BehaviorTreeError from "../src/Error/BehaviorTreeError.js";
+import Errors from "../src/Error/Errors.js";
+import StateData from "../src/StateData.js";
+
+test("can get, set, check and delete values", (assert) => {
+    const blackboard = new Blackboard();
+
+    assert.false(blackboard.has("target"));
+    assert.is("fallback", blackboard.get("target", "fallback"));
+
+    blackboard.set("target", "exit-1");
+    assert.true(blackboard.has("target"));
+    assert.is("exit-1", blackboard.get("target"));
+
+    assert.true(blackboard.delete("target"));
+    assert.false(blackboard.delete("target"));
+    assert.false(blackboard.has("target"));
+});
+
+test("keys named like object properties have no value until set", (assert) => {
+    const blackboard = new Blackboard();
+    const changes    = [];
+    blackboard.onChange("toString", (key, value) => changes.push(value));
+
+    assert.false(blackboard.has("toString"));
+    assert.is("fallback", blackboard.get("constructor", "fallback"));
+    assert.false(blackboard.delete("hasOwnProperty"));
+
+    blackboard.set("toString", "some-value");
+    assert.is("some-value", blackboard.get("toString"));
+    assert.deepEqual(["some-value"], changes);
+});
+
+test("setting a value of the wrong type throws exception", (assert) => {
+    const blackboard = new Blackboard().define("speed", "number", 1.5);
+
+    assert.is(1.5, blackboard.get("speed"));
+    blackboard.set("speed", 2);
+
+    const error = assert.throws(() => blackboard.set("speed", "fast"), BehaviorTreeError);
+    assert.is(error.message, Errors.BLACKBOARD_TYPE_MISMATCH);
+});
+
+test("keys can be declared with a class", (assert) => {
+    class Position {}
+    const blackboard = new Blackboard().define("target", Position);
+
+    blackboard.set("target", new Position());
+    assert.throws(() => blackboard.set("target", {x: 0, y: 0}), BehaviorTreeError);
+});
+
+test("scoped blackboards read from the parent and write locally", (assert) => {
+    const parent = new Blackboard({speed: 1});
+    const scope  = parent.createScope();
+
+    assert.is(1, scope.get("speed"));
+
+    scope.set("speed", 2);
+    assert.is(2, scope.get("speed"));
+    assert.is(1, parent.get("speed"));
+
+    scope.delete("speed");
+    assert.is(1, scope.get("speed"));
+});
+
+test("remapped keys read and write the parent key", (assert) => {
+    const parent = new Blackboard({exit: "exit-1"});
+    const scope  = parent.createScope({target: "exit"});
+
+    assert.is("exit-1", scope.get("target"));
+
+    scope.set("target", "exit-2");
+    assert.is("exit-2", parent.get("exit"));
+    assert.false(parent.has("target"));
+});
+
+test("listeners are notified of changes", (assert) => {
+    const blackboard = new Blackboard();
+    const changes    = [];
+    const all        = [];
+
+    const unsubscribe = blackboard.onChange("target", (key, value, previous) => changes.push([key, value, previous]));
+    blackboard.onChange((key) => all.push(key));
+
+    blackboard.set("target", "exit-1");
+    blackboard.set("target", "exit-1");
+    blackboard.set("speed", 1);
+    unsubscribe();
+    blackboard.set("target", "exit-2");
+
+    assert.deepEqual([["target", "exit-1", undefined]], changes);
+    assert.deepEqual(["target", "speed", "target"], all);
+});
+
+test("listeners of remapped keys are notified of changes to the parent", (assert) => {
+    const parent = new Blackboard();
+    const scope  = parent.createScope({target: "exit"});
+    const values = [];
+
+    scope.onChange("target", (key, value) => values.push(value));
+    parent.set("exit", "exit-1");
+
+    assert.deepEqual(["exit-1"], values);
+});
+
+test("listeners of a scope hear the changes of the keys it reads from the parent", (assert) => {
+    const parent = new Blackboard();
+    const scope  = parent.createScope({});
+    const values = [];
+    const unsubscribe = scope.onChange("go", (key, value) => values.push(value));
+
+    parent.set("go", 1);
+    scope.set("go", 2);
+    parent.set("go", 3);
+    scope.delete("go");
+    parent.set("go", 4);
+    unsubscribe();
+    parent.set("go", 5);
+
+    assert.deepEqual([1, 2, undefined, 4], values);
+});
+
+test("state data stores the blackboard values in its state", (assert) => {
+    const state = new StateData(0, {test: "foo"});
+
+    assert.is("foo", state.blackboard.get("test"));
+
+    state.blackboard.set("bar", "baz");
+    assert.is("baz", state.state.bar);
+});
+
+test("state data created for the same state shares its blackboard", (assert) => {
+    const state = {};
+
+    assert.is(new StateData(0, state).blackboard, new StateData(1, state).blackboard);
+    assert.not(new StateData().blackboard, new StateData().blackboard);
+});
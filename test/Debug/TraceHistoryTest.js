@@ -0,0 +1,82 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import TraceHistory from "../../src/Debug/TraceHistory.js";
+import StateData from "../../src/StateData.js";
+import TraceEventType from "../../src/TraceEventType.js";
+import Tracer from "../../src/Tracer.js";
+import TreeInstance from "../../src/TreeInstance.js";
+
+function buildTree(state) {
+    return new BehaviorTreeBuilder()
+        .selector("root", false)
+            .condition("is-calm", async () => state.calm)
+            .do("flee", async () => BehaviorTreeStatus.Running)
+        .end()
+        .build();
+}
+
+test("records the statuses of each tick", async (assert) => {
+    const state   = {calm: false};
+    const tree    = buildTree(state);
+    const history = new TraceHistory(new Tracer().attach(tree));
+
+    await tree.tick(new StateData());
+    state.calm = true;
+    await tree.tick(new StateData());
+
+    assert.is(2, history.length);
+    assert.deepEqual([
+        ["root/is-calm", BehaviorTreeStatus.Failure],
+        ["root/flee", BehaviorTreeStatus.Running],
+        ["root", BehaviorTreeStatus.Running],
+    ], [...history.at(0).statuses]);
+    assert.deepEqual([
+        ["root/is-calm", BehaviorTreeStatus.Success],
+        ["root/flee", TraceEventType.Halt],
+        ["root", BehaviorTreeStatus.Success],
+    ], [...history.at(1).statuses]);
+});
+
+test("keeps a limited number of ticks", async (assert) => {
+    const tree    = buildTree({calm: true});
+    const history = new TraceHistory(new Tracer().attach(tree), 2);
+
+    for (let i = 0; i < 3; i++) {
+        await tree.tick(new StateData());
+    }
+
+    assert.deepEqual([2, 3], history.ticks.map((t) => t.tick));
+});
+
+test("notifies listeners when a tick is recorded", async (assert) => {
+    const tree    = buildTree({calm: true});
+    const history = new TraceHistory(new Tracer().attach(tree));
+    let notified  = 0;
+    history.on(() => ++notified);
+
+    await tree.tick(new StateData());
+    history.stop();
+    await tree.tick(new StateData());
+
+    assert.is(1, notified);
+    assert.is(1, history.length);
+});
+
+test("records the ticks of each instance apart, or of a single instance", async (assert) => {
+    const tree   = buildTree({calm: false});
+    const tracer = new Tracer().attach(tree);
+    const first  = new TreeInstance(tree);
+    const second = new TreeInstance(tree);
+    const all    = new TraceHistory(tracer);
+    const only   = new TraceHistory(tracer, 500, second);
+
+    for (let i = 0; i < 2; i++) {
+        await first.tick(16);
+        await second.tick(16);
+    }
+
+    const ticksOf = (history) => history.ticks.map((t) => `${t.instance === first ? "first" : "second"} ${t.tick}`);
+    assert.deepEqual(["first 1", "second 1", "first 2", "second 2"], ticksOf(all));
+    assert.deepEqual(["second 1", "second 2"], ticksOf(only));
+});
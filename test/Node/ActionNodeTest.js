@@ -31,3 +31,70 @@ test("state is available to nodes", async (assert) => {
 
     assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
 });
+
+test("halting a running action invokes its halt callback", async (assert) => {
+    const state      = new StateData();
+    let haltCount    = 0;
+    const testObject = new ActionNode(
+        "some-action",
+        async () => BehaviorTreeStatus.Running,
+        (s) => {
+            assert.is(state, s);
+            ++haltCount;
+        }
+    );
+
+    await testObject.tick(state);
+    testObject.halt(state);
+    testObject.halt(state);
+
+    assert.is(1, haltCount);
+});
+
+test("halting a finished action does nothing", async (assert) => {
+    let haltCount    = 0;
+    const testObject = new ActionNode("some-action", async () => BehaviorTreeStatus.Success, () => ++haltCount);
+
+    await testObject.tick(new StateData());
+    testObject.halt(new StateData());
+
+    assert.is(0, haltCount);
+});
+
+test("ticks a synchronous action synchronously", (assert) => {
+    const testObject = new ActionNode("some-action", () => BehaviorTreeStatus.Success);
+
+    assert.is(BehaviorTreeStatus.Success, testObject.tickSync(new StateData()));
+});
+
+test("a promise returned to a synchronous tick is running until it settles", async (assert) => {
+    const state      = new StateData();
+    let resolve;
+    let invokeCount  = 0;
+    const testObject = new ActionNode("some-action", () => {
+        ++invokeCount;
+
+        return new Promise((r) => resolve = r);
+    });
+
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    resolve(BehaviorTreeStatus.Success);
+    await Promise.resolve();
+
+    assert.is(BehaviorTreeStatus.Success, testObject.tickSync(state));
+    assert.is(1, invokeCount);
+});
+
+test("a rejected promise is thrown from the next synchronous tick", async (assert) => {
+    const state      = new StateData();
+    const testObject = new ActionNode("some-action", () => Promise.reject(new Error("broken")));
+
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    await Promise.resolve();
+
+    const error = assert.throws(() => testObject.tickSync(state));
+    assert.is("broken (some-action)", error.message);
+    assert.is("broken", error.cause.message);
+    assert.is(testObject, error.node);
+});
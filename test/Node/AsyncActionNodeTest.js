@@ -0,0 +1,97 @@
+import test from "ava";
+import StateData from "../../src/StateData.js";
+import AsyncActionNode from "../../src/Node/AsyncActionNode.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import TreeWalker from "../../src/TreeWalker.js";
+
+function deferred() {
+    const result = {};
+    result.promise = new Promise((resolve, reject) => Object.assign(result, {resolve, reject}));
+
+    return result;
+}
+
+test("returns running until the action settles", async (assert) => {
+    const state      = new StateData();
+    const path       = deferred();
+    let invokeCount  = 0;
+    const testObject = new AsyncActionNode("find-path", () => {
+        ++invokeCount;
+
+        return path.promise;
+    });
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    path.resolve(BehaviorTreeStatus.Success);
+    await path.promise;
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    assert.is(1, invokeCount);
+});
+
+test("starts the action again after it settles", async (assert) => {
+    const state      = new StateData();
+    let invokeCount  = 0;
+    const testObject = new AsyncActionNode("find-path", async () => {
+        ++invokeCount;
+
+        return BehaviorTreeStatus.Failure;
+    });
+
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    await Promise.resolve();
+    assert.is(BehaviorTreeStatus.Failure, testObject.tickSync(state));
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    assert.is(2, invokeCount);
+});
+
+test("halting aborts the pending action", async (assert) => {
+    const state      = new StateData();
+    let haltCount    = 0;
+    let signal;
+    const testObject = new AsyncActionNode("find-path", (s, abortSignal) => {
+        signal = abortSignal;
+
+        return new Promise((resolve, reject) => abortSignal.addEventListener("abort", () => reject(new Error("aborted"))));
+    }, () => ++haltCount);
+
+    await testObject.tick(state);
+    testObject.halt(state);
+    testObject.halt(state);
+    await Promise.resolve();
+
+    assert.true(signal.aborted);
+    assert.is(1, haltCount);
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+});
+
+test("a rejected action throws on the next tick", async (assert) => {
+    const state      = new StateData();
+    const path       = deferred();
+    const testObject = new AsyncActionNode("find-path", () => path.promise);
+
+    await testObject.tick(state);
+    path.reject(new Error("no path"));
+    await path.promise.catch(() => undefined);
+
+    const error = await assert.throws(testObject.tick(state));
+    assert.is("no path (find-path)", error.message);
+});
+
+test("a copy of the node aborts its own action", async (assert) => {
+    const state      = new StateData();
+    const signals    = [];
+    const testObject = new AsyncActionNode("find-path", (s, signal) => {
+        signals.push(signal);
+
+        return new Promise(() => undefined);
+    });
+    const copy = TreeWalker.copy(testObject);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await copy.tick(state));
+    copy.halt(state);
+
+    assert.deepEqual([false, true], signals.map((s) => s.aborted));
+});
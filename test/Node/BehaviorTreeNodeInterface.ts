@@ -3,4 +3,6 @@ import StateData from "../../src/StateData.js";
 
 export default interface BehaviorTreeNodeInterface {
     tick(state: StateData): Promise<BehaviorTreeStatus>;
+    tickSync(state: StateData): BehaviorTreeStatus;
+    halt(state: StateData): void;
 }
\ No newline at end of file
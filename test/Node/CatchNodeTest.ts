@@ -0,0 +1,62 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import Blackboard from "../../src/Blackboard.js";
+import StateData from "../../src/StateData.js";
+import CatchNode from "../../src/Node/CatchNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+test("passes through the status of the child", async (assert) => {
+    const testObject    = new CatchNode("some-catch");
+    const state         = new StateData();
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+});
+
+test("fails and halts the child when it throws", async (assert) => {
+    const testObject    = new CatchNode("some-catch");
+    const state         = new StateData();
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.reject(new Error("broken")));
+
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    mockChildNode.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("stores the error under its key", (assert) => {
+    const testObject    = new CatchNode("some-catch", "error");
+    const blackboard    = new Blackboard();
+    const state         = new StateData(0, blackboard.data, blackboard);
+    const error         = new Error("broken");
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup((m) => m.tickSync(state))
+        .throws(error);
+
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Failure, testObject.tickSync(state));
+    assert.is(error, blackboard.get("error"));
+});
+
+test("can't have more than one child", (assert) => {
+    const testObject = new CatchNode("some-catch");
+
+    testObject.addChild(TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>().object);
+
+    const error = assert.throws(() => testObject.addChild(TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>().object),
+        BehaviorTreeError);
+    assert.is(Errors.DECORATOR_MULTIPLE_CHILDREN, error.message);
+});
@@ -0,0 +1,64 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import CooldownNode from "../../src/Node/CooldownNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+function succeedingChild(state: StateData) {
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(BehaviorTreeStatus.Success));
+
+    return mockChildNode;
+}
+
+test("fails without ticking the child during the cooldown", async (assert) => {
+    const testObject    = new CooldownNode("some-cooldown", 100);
+    const state         = new StateData(60);
+    const mockChildNode = succeedingChild(state);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+
+    mockChildNode.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+});
+
+test("uses the clock when one is given", async (assert) => {
+    let now             = 0;
+    const testObject    = new CooldownNode("some-cooldown", 100, () => now);
+    const state         = new StateData(0);
+    const mockChildNode = succeedingChild(state);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    now = 99;
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    now = 100;
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+});
+
+test("doesn't start the cooldown while the child is running", async (assert) => {
+    const testObject    = new CooldownNode("some-cooldown", 100);
+    const state         = new StateData(60);
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+});
+
+test("rejects durations that aren't a number of milliseconds", async (assert) => {
+    for (const ms of [undefined, "t", "100", -1, NaN, Infinity]) {
+        const error = assert.throws(() => new CooldownNode("some-cooldown", ms), BehaviorTreeError);
+        assert.is(Errors.INVALID_DURATION, error.message);
+    }
+});
@@ -0,0 +1,112 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import Blackboard from "../../src/Blackboard.js";
+import ErrorPolicy from "../../src/ErrorPolicy.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import ActionNode from "../../src/Node/ActionNode.js";
+import GuardNode from "../../src/Node/GuardNode.js";
+import IfNode from "../../src/Node/IfNode.js";
+import StateData from "../../src/StateData.js";
+import TreeInstance from "../../src/TreeInstance.js";
+
+function action(name, log, status = BehaviorTreeStatus.Success) {
+    return new ActionNode(name, () => {
+        log.push(name);
+
+        return status;
+    }, () => log.push(`halt ${name}`));
+}
+
+test("runs the then branch when the predicate is true, and the else branch otherwise", async (assert) => {
+    const log        = [];
+    const flags      = [true, false];
+    const testObject = new IfNode("some-if", () => flags.shift());
+    testObject.addChild(action("then", log));
+    testObject.addChild(action("else", log, BehaviorTreeStatus.Failure));
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(new StateData()));
+    assert.is(BehaviorTreeStatus.Failure, testObject.tickSync(new StateData()));
+    assert.deepEqual(["then", "else"], log);
+});
+
+test("fails when the predicate is false and there is no else branch", (assert) => {
+    const log        = [];
+    const testObject = new IfNode("some-if", () => false);
+    testObject.addChild(action("then", log));
+
+    assert.is(BehaviorTreeStatus.Failure, testObject.tickSync(new StateData()));
+    assert.deepEqual([], log);
+});
+
+test("keeps running the chosen branch until it finishes", (assert) => {
+    const log        = [];
+    const state      = new StateData();
+    const flags      = [true, false, false];
+    const testObject = new IfNode("some-if", () => flags.shift());
+    testObject.addChild(action("then", log, BehaviorTreeStatus.Running));
+    testObject.addChild(action("else", log));
+
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+
+    testObject.halt(state);
+    assert.is(BehaviorTreeStatus.Success, testObject.tickSync(state));
+    assert.deepEqual(["then", "then", "halt then", "else"], log);
+});
+
+test("can't have more than two branches", (assert) => {
+    const testObject = new IfNode("some-if", () => true);
+    testObject.addChild(action("then", []));
+    testObject.addChild(action("else", []));
+
+    const error = assert.throws(() => testObject.addChild(action("other", [])), BehaviorTreeError);
+    assert.is(Errors.IF_MULTIPLE_BRANCHES, error.message);
+});
+
+test("a guard halts its child as soon as the predicate becomes false", async (assert) => {
+    const log        = [];
+    const state      = new StateData();
+    const flags      = [true, true, false];
+    const testObject = new GuardNode("some-guard", () => flags.shift());
+    testObject.addChild(action("walk", log, BehaviorTreeStatus.Running));
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, testObject.tickSync(state));
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    assert.deepEqual(["walk", "walk", "halt walk"], log);
+});
+
+test("ticking a guard with no child node throws error", async (assert) => {
+    const testObject = new GuardNode("some-guard", () => true);
+
+    const error = await assert.throws(testObject.tick(new StateData()), BehaviorTreeError);
+    assert.is(Errors.DECORATOR_NO_CHILDREN, error.message);
+});
+
+test("predicate errors go through the error policy", (assert) => {
+    const log    = [];
+    const broken = () => {
+        throw new Error("no eyes");
+    };
+    const tree   = new BehaviorTreeBuilder()
+        .selector("agent")
+            .if("look", broken)
+            .thenBranch()
+                .do("see", () => log.push("see") && BehaviorTreeStatus.Success)
+            .end()
+            .guard("watch", () => log.length === 0 || broken())
+                .do("walk", () => log.push("walk") && BehaviorTreeStatus.Running, () => log.push("halt walk"))
+            .end()
+        .end()
+        .build();
+
+    const failing = new TreeInstance(tree, new Blackboard(), ErrorPolicy.Fail);
+    assert.is(BehaviorTreeStatus.Running, failing.tickSync(16));
+    assert.is(BehaviorTreeStatus.Failure, failing.tickSync(16));
+    assert.deepEqual(["walk", "halt walk"], log);
+
+    const error = assert.throws(() => new TreeInstance(tree).tickSync(16), BehaviorTreeError);
+    assert.is("no eyes (agent/look)", error.message);
+});
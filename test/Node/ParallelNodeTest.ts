@@ -4,6 +4,9 @@ import StateData from "../../src/StateData.js";
 import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
 import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
 import ParallelNode from "../../src/Node/ParallelNode.js";
+import ParallelPolicy from "../../src/ParallelPolicy.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
 
 //const util = require('util');
 
@@ -132,3 +135,117 @@ test("continues to run if the required number of children neither succeed or fai
     mockChild1.verify((m) => m.tick(state), TypeMoq.Times.once());
     mockChild2.verify((m) => m.tick(state), TypeMoq.Times.once());
 });
+
+test("succeeds synchronously when required number of children succeed", (assert) => {
+    const testObject = new ParallelNode("some-parallel", 2, 2);
+    const state      = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup((m) => m.tickSync(state)).returns(() => BehaviorTreeStatus.Success);
+
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup((m) => m.tickSync(state)).returns(() => BehaviorTreeStatus.Success);
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+    assert.is(BehaviorTreeStatus.Success, testObject.tickSync(state));
+    mockChild1.verify((m) => m.tick(state), TypeMoq.Times.never());
+});
+
+function mockChild(state: StateData, status: BehaviorTreeStatus) {
+    const mock = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mock.setup(async (m) => await m.tick(state)).returns(() => Promise.resolve(status));
+
+    return mock;
+}
+
+test("policies require one or all of the children", async (assert) => {
+    const testObject = new ParallelNode("some-parallel", ParallelPolicy.RequireOne, ParallelPolicy.RequireAll);
+    const state      = new StateData();
+
+    testObject.addChild(mockChild(state, BehaviorTreeStatus.Success).object);
+    testObject.addChild(mockChild(state, BehaviorTreeStatus.Running).object);
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    testObject.addChild(mockChild(state, BehaviorTreeStatus.Failure).object);
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+});
+
+test("halts the running children once the outcome is decided", async (assert) => {
+    const testObject = new ParallelNode("some-parallel", 0, 1);
+    const state      = new StateData();
+    const watcher    = mockChild(state, BehaviorTreeStatus.Running);
+
+    testObject.addChild(mockChild(state, BehaviorTreeStatus.Success).object);
+    testObject.addChild(watcher.object);
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    watcher.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("remembers finished children until the outcome is decided", async (assert) => {
+    const testObject = new ParallelNode("some-parallel", 0, ParallelPolicy.RequireAll, true);
+    const state      = new StateData();
+    const watcher    = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    const mover      = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    let moves        = 0;
+
+    watcher.setup(async (m) => await m.tick(state)).returns(() => Promise.resolve(BehaviorTreeStatus.Success));
+    mover.setup(async (m) => await m.tick(state)).returns(() => Promise.resolve(
+        ++moves < 3 ? BehaviorTreeStatus.Running : BehaviorTreeStatus.Success,
+    ));
+
+    testObject.addChild(watcher.object);
+    testObject.addChild(mover.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    watcher.verify((m) => m.tick(state), TypeMoq.Times.once());
+    mover.verify((m) => m.tick(state), TypeMoq.Times.exactly(3));
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    watcher.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+});
+
+test("requiring more children than there are throws error", async (assert) => {
+    const testObject = new ParallelNode("some-parallel", 2, 1);
+    const state      = new StateData();
+
+    testObject.addChild(mockChild(state, BehaviorTreeStatus.Success).object);
+
+    const error = await assert.throws(testObject.tick(state), BehaviorTreeError);
+    assert.is(Errors.PARALLEL_THRESHOLD_TOO_HIGH, error.message);
+});
+
+test("errors of children are thrown after halting the other children", async (assert) => {
+    const testObject = new ParallelNode("some-parallel", 1, 1);
+    const state      = new StateData();
+    const broken     = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    const watcher    = mockChild(state, BehaviorTreeStatus.Running);
+
+    broken.setup(async (m) => await m.tick(state)).returns(() => Promise.reject(new Error("broken")));
+    testObject.addChild(broken.object);
+    testObject.addChild(watcher.object);
+
+    const error = await assert.throws(testObject.tick(state));
+    assert.is("broken", error.message);
+    watcher.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("in sync mode too, every child is ticked before an error of a child is thrown", (assert) => {
+    const testObject = new ParallelNode("some-parallel", 1, 1);
+    const state      = new StateData();
+    const broken     = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    const watcher    = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+
+    broken.setup((m) => m.tickSync(state)).throws(new Error("broken"));
+    watcher.setup((m) => m.tickSync(state)).returns(() => BehaviorTreeStatus.Running);
+    testObject.addChild(broken.object);
+    testObject.addChild(watcher.object);
+
+    const error = assert.throws(() => testObject.tickSync(state));
+    assert.is("broken", error.message);
+    watcher.verify((m) => m.tickSync(state), TypeMoq.Times.once());
+    watcher.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
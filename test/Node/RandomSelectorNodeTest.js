@@ -0,0 +1,100 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import WeightedSelectorNode from "../../src/Node/WeightedSelectorNode.js";
+import Random from "../../src/Random.js";
+import StateData from "../../src/StateData.js";
+
+/**
+ * Builds a composite with three children that log their name and return the status set for them in the blackboard.
+ */
+function buildTree(log, composite) {
+    const child = (name) => (t) => {
+        log.push(name);
+
+        return t.blackboard.get(name, BehaviorTreeStatus.Failure);
+    };
+
+    return composite(new BehaviorTreeBuilder())
+            .do("a", child("a"))
+            .do("b", child("b"))
+            .do("c", child("c"))
+        .end()
+        .build();
+}
+
+test("seeded generators are reproducible", (assert) => {
+    const first  = Random.seeded(42);
+    const second = Random.seeded(42);
+    const values = [first(), first(), first()];
+
+    assert.deepEqual(values, [second(), second(), second()]);
+    assert.true(values.every((v) => v >= 0 && v < 1));
+    assert.notDeepEqual(values, [Random.seeded(7)(), Random.seeded(7)(), Random.seeded(7)()]);
+});
+
+test("random selector tries every child in a random order", (assert) => {
+    const log  = [];
+    const tree = buildTree(log, (b) => b.randomSelector("wander", Random.seeded(1)));
+
+    assert.is(BehaviorTreeStatus.Failure, tree.tickSync(new StateData()));
+    assert.deepEqual(["a", "b", "c"], [...log].sort());
+
+    const order = [...log];
+    log.length  = 0;
+    buildTree(log, (b) => b.randomSelector("wander", Random.seeded(1))).tickSync(new StateData());
+    assert.deepEqual(order, log);
+});
+
+test("random selector resumes the running child and shuffles again when it starts over", (assert) => {
+    const log    = [];
+    const tree   = buildTree(log, (b) => b.randomSelector("wander", Random.seeded(3)));
+    const state  = new StateData(0, {a: BehaviorTreeStatus.Running, b: BehaviorTreeStatus.Running, c: BehaviorTreeStatus.Running});
+    const firsts = new Set();
+
+    for (let i = 0; i < 20; i++) {
+        log.length = 0;
+        tree.tickSync(state);
+        tree.tickSync(state);
+        tree.halt(state);
+
+        assert.is(log[0], log[1]);
+        firsts.add(log[0]);
+    }
+
+    assert.true(firsts.size > 1);
+});
+
+test("random sequence runs every child in a random order", (assert) => {
+    const log   = [];
+    const tree  = buildTree(log, (b) => b.randomSequence("chores", Random.seeded(5)));
+    const state = new StateData(0, {a: BehaviorTreeStatus.Success, b: BehaviorTreeStatus.Success, c: BehaviorTreeStatus.Success});
+
+    assert.is(BehaviorTreeStatus.Success, tree.tickSync(state));
+    assert.deepEqual(["a", "b", "c"], [...log].sort());
+});
+
+test("weighted selector favours the children with a higher weight", (assert) => {
+    const log    = [];
+    const tree   = buildTree(log, (b) => b.weightedSelector("idle", [8, 1, 1], Random.seeded(9)));
+    const counts = {a: 0, b: 0, c: 0};
+
+    for (let i = 0; i < 100; i++) {
+        log.length = 0;
+        tree.tickSync(new StateData());
+        counts[log[0]]++;
+    }
+
+    assert.true(counts.a > 60);
+    assert.true(counts.b > 0 && counts.c > 0);
+});
+
+test("weighted selector rejects weights that aren't numbers, zero or more", (assert) => {
+    for (const weights of [[1, -1], [1, "2"], [NaN], [Infinity], 3]) {
+        const error = assert.throws(() => new WeightedSelectorNode("idle", weights), BehaviorTreeError);
+        assert.is(Errors.INVALID_WEIGHT, error.message);
+    }
+    assert.notThrows(() => new WeightedSelectorNode("idle", [0, undefined, 2.5]));
+});
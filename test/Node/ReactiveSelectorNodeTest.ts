@@ -0,0 +1,69 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import ReactiveSelectorNode from "../../src/Node/ReactiveSelectorNode.js";
+
+test("re-evaluates higher priority children while a later child is running", async (assert) => {
+    const testObject = new ReactiveSelectorNode("some-selector");
+    const state      = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Failure));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    mockChild1.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+    mockChild2.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.never());
+});
+
+test("halts the running child when a higher priority child takes over", async (assert) => {
+    const testObject = new ReactiveSelectorNode("some-selector");
+    const state      = new StateData();
+    let firstStatus  = BehaviorTreeStatus.Failure;
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(firstStatus));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    firstStatus = BehaviorTreeStatus.Running;
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    mockChild2.verify((m) => m.tick(state), TypeMoq.Times.once());
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("fails when all children fail", async (assert) => {
+    const testObject = new ReactiveSelectorNode("some-selector");
+    const state      = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Failure));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Failure));
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+});
@@ -0,0 +1,64 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import ReactiveSequenceNode from "../../src/Node/ReactiveSequenceNode.js";
+
+test("re-evaluates earlier children while a later child is running", async (assert) => {
+    const testObject = new ReactiveSequenceNode("some-sequence");
+    const state      = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Success));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    mockChild1.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+    mockChild2.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+});
+
+test("halts the running child when an earlier child fails", async (assert) => {
+    const testObject = new ReactiveSequenceNode("some-sequence");
+    const state      = new StateData();
+    let firstStatus  = BehaviorTreeStatus.Success;
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(firstStatus));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    testObject.addChild(mockChild1.object);
+    testObject.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+
+    firstStatus = BehaviorTreeStatus.Failure;
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+
+    mockChild2.verify((m) => m.tick(state), TypeMoq.Times.once());
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("succeeds when all children succeed", async (assert) => {
+    const testObject = new ReactiveSequenceNode("some-sequence");
+    const state      = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Success));
+
+    testObject.addChild(mockChild1.object);
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+});
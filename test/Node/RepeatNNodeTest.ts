@@ -0,0 +1,50 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import RepeatNNode from "../../src/Node/RepeatNNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+function childReturning(state: StateData, statuses: BehaviorTreeStatus[]) {
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(statuses.shift()));
+
+    return mockChildNode;
+}
+
+test("succeeds once the child has succeeded the given number of times", async (assert) => {
+    const testObject    = new RepeatNNode("some-repeat", 3);
+    const state         = new StateData();
+    const mockChildNode = childReturning(state, [
+        BehaviorTreeStatus.Success,
+        BehaviorTreeStatus.Running,
+        BehaviorTreeStatus.Success,
+        BehaviorTreeStatus.Success,
+    ]);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    mockChildNode.verify((m) => m.tick(state), TypeMoq.Times.exactly(4));
+});
+
+test("fails as soon as the child fails", async (assert) => {
+    const testObject    = new RepeatNNode("some-repeat", 3);
+    const state         = new StateData();
+    const mockChildNode = childReturning(state, [BehaviorTreeStatus.Success, BehaviorTreeStatus.Failure]);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    assert.is(0, state.memoryOf(testObject).successes);
+});
+
+test("rejects counts that aren't a positive whole number", async (assert) => {
+    for (const count of [undefined, 0, -1, 1.5, Infinity, NaN]) {
+        const error = assert.throws(() => new RepeatNNode("some-repeat", count), BehaviorTreeError);
+        assert.is(Errors.INVALID_COUNT, error.message);
+    }
+});
@@ -0,0 +1,112 @@
+import test from "ava";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import ActionNode from "../../src/Node/ActionNode.js";
+import RepeatNode from "../../src/Node/RepeatNode.js";
+import UntilFailNode from "../../src/Node/UntilFailNode.js";
+import UntilSuccessNode from "../../src/Node/UntilSuccessNode.js";
+import StateData from "../../src/StateData.js";
+
+const S = BehaviorTreeStatus.Success;
+const F = BehaviorTreeStatus.Failure;
+const R = BehaviorTreeStatus.Running;
+
+function withChild(node, statuses, log = []) {
+    node.addChild(new ActionNode("some-action", () => {
+        log.push(statuses[0]);
+
+        return statuses.length > 1 ? statuses.shift() : statuses[0];
+    }));
+
+    return node;
+}
+
+test("repeat succeeds once the sequence has succeeded a number of times", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new RepeatNode("some-repeat", 3), [S, R, S, S]);
+
+    assert.deepEqual([R, R, R, S], [1, 2, 3, 4].map(() => testObject.tickSync(state)));
+});
+
+test("repeat fails as soon as the sequence fails", async (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new RepeatNode("some-repeat"), [S, F]);
+
+    assert.is(R, await testObject.tick(state));
+    assert.is(F, await testObject.tick(state));
+});
+
+test("repeat runs forever by default", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new RepeatNode("some-repeat"), [S]);
+
+    for (let i = 0; i < 100; i++) {
+        assert.is(R, testObject.tickSync(state));
+    }
+});
+
+test("until fail succeeds when the sequence fails", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new UntilFailNode("some-until-fail"), [S, S, F]);
+
+    assert.deepEqual([R, R, S], [1, 2, 3].map(() => testObject.tickSync(state)));
+});
+
+test("until fail fails when the sequence keeps succeeding", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new UntilFailNode("some-until-fail", 2, 5), [S]);
+
+    assert.is(F, testObject.tickSync(state));
+});
+
+test("until success succeeds when the sequence succeeds", async (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new UntilSuccessNode("some-until-success"), [F, R, S]);
+
+    assert.is(R, await testObject.tick(state));
+    assert.is(R, await testObject.tick(state));
+    assert.is(S, await testObject.tick(state));
+});
+
+test("until success fails once all attempts have failed", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new UntilSuccessNode("some-until-success", 2), [F]);
+
+    assert.is(R, testObject.tickSync(state));
+    assert.is(F, testObject.tickSync(state));
+    assert.is(R, testObject.tickSync(state));
+});
+
+test("a tick runs the sequence at most the given number of times", async (assert) => {
+    const log        = [];
+    const state      = new StateData();
+    const testObject = withChild(new RepeatNode("some-repeat", undefined, 3), [S], log);
+
+    assert.is(R, await testObject.tick(state));
+    assert.is(3, log.length);
+    assert.is(R, testObject.tickSync(state));
+    assert.is(6, log.length);
+});
+
+test("halting starts the count over", (assert) => {
+    const state      = new StateData();
+    const testObject = withChild(new RepeatNode("some-repeat", 2), [S]);
+
+    testObject.tickSync(state);
+    testObject.halt(state);
+
+    assert.is(R, testObject.tickSync(state));
+    assert.is(S, testObject.tickSync(state));
+});
+
+test("counts that aren't positive whole numbers are rejected", (assert) => {
+    const nodes = [
+        () => new RepeatNode("some-repeat", true),
+        () => new UntilFailNode("some-until-fail", false),
+        () => new UntilSuccessNode("some-until-success", 0),
+        () => new RepeatNode("some-repeat", 2, Infinity),
+    ];
+
+    nodes.forEach((node) => assert.is(Errors.INVALID_COUNT, assert.throws(node, BehaviorTreeError).message));
+});
@@ -0,0 +1,51 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import RetryNode from "../../src/Node/RetryNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+function childReturning(state: StateData, statuses: BehaviorTreeStatus[]) {
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(statuses.shift()));
+
+    return mockChildNode;
+}
+
+test("runs the child again when it fails", async (assert) => {
+    const testObject    = new RetryNode("some-retry", 3);
+    const state         = new StateData();
+    const mockChildNode = childReturning(state, [BehaviorTreeStatus.Failure, BehaviorTreeStatus.Success]);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    mockChildNode.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+});
+
+test("fails once all attempts have failed", async (assert) => {
+    const testObject    = new RetryNode("some-retry", 2);
+    const state         = new StateData();
+    const mockChildNode = childReturning(state, [
+        BehaviorTreeStatus.Failure,
+        BehaviorTreeStatus.Running,
+        BehaviorTreeStatus.Failure,
+        BehaviorTreeStatus.Success,
+    ]);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    mockChildNode.verify((m) => m.tick(state), TypeMoq.Times.exactly(4));
+});
+
+test("rejects attempts that aren't a positive whole number", async (assert) => {
+    for (const attempts of [undefined, 0, -1, 1.5, Infinity, NaN]) {
+        const error = assert.throws(() => new RetryNode("some-retry", attempts), BehaviorTreeError);
+        assert.is(Errors.INVALID_COUNT, error.message);
+    }
+});
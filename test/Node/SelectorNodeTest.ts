@@ -107,3 +107,27 @@ test("only evaluates the current node", async (assert) => {
     mockChild2.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
     mockChild3.verify((m) => m.tick(state), TypeMoq.Times.never());
 });
+
+test("halts the running child when a higher priority child succeeds", async (assert) => {
+    const selector = new SelectorNode("some-selector");
+    const state = new StateData();
+    let firstStatus = BehaviorTreeStatus.Failure;
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(firstStatus));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    selector.addChild(mockChild1.object);
+    selector.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await selector.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await selector.tick(state));
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.never());
+
+    firstStatus = BehaviorTreeStatus.Success;
+    assert.is(BehaviorTreeStatus.Success, await selector.tick(state));
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
@@ -116,3 +116,48 @@ test("only evaluates the current node", async (assert) => {
     mockChild2.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
     mockChild3.verify((m) => m.tick(state), TypeMoq.Times.never());
 });
+
+test("halts the running child when an earlier child fails", async (assert) => {
+    const sequence = new SequenceNode("some-sequence");
+    const state = new StateData();
+    let firstStatus = BehaviorTreeStatus.Success;
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(firstStatus));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    sequence.addChild(mockChild1.object);
+    sequence.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await sequence.tick(state));
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.never());
+
+    firstStatus = BehaviorTreeStatus.Failure;
+    assert.is(BehaviorTreeStatus.Failure, await sequence.tick(state));
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("halting the sequence halts the running child and restarts it", async (assert) => {
+    const sequence = new SequenceNode("some-sequence", true);
+    const state = new StateData();
+
+    const mockChild1 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild1.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Success));
+    const mockChild2 = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChild2.setup(async (m) => await m.tick(state))
+              .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    sequence.addChild(mockChild1.object);
+    sequence.addChild(mockChild2.object);
+
+    assert.is(BehaviorTreeStatus.Running, await sequence.tick(state));
+    sequence.halt(state);
+    assert.is(BehaviorTreeStatus.Running, await sequence.tick(state));
+
+    mockChild2.verify((m) => m.halt(state), TypeMoq.Times.once());
+    mockChild1.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+});
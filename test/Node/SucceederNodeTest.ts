@@ -0,0 +1,55 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import SucceederNode from "../../src/Node/SucceederNode.js";
+import FailerNode from "../../src/Node/FailerNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+function childReturning(state: StateData, status: BehaviorTreeStatus) {
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(status));
+
+    return mockChildNode.object;
+}
+
+test("succeeder succeeds when the child fails", async (assert) => {
+    const state      = new StateData();
+    const testObject = new SucceederNode("some-succeeder");
+    testObject.addChild(childReturning(state, BehaviorTreeStatus.Failure));
+
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+});
+
+test("failer fails when the child succeeds", async (assert) => {
+    const state      = new StateData();
+    const testObject = new FailerNode("some-failer");
+    testObject.addChild(childReturning(state, BehaviorTreeStatus.Success));
+
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+});
+
+test("pass through running of child node", async (assert) => {
+    const state     = new StateData();
+    const succeeder = new SucceederNode("some-succeeder");
+    const failer    = new FailerNode("some-failer");
+    succeeder.addChild(childReturning(state, BehaviorTreeStatus.Running));
+    failer.addChild(childReturning(state, BehaviorTreeStatus.Running));
+
+    assert.is(BehaviorTreeStatus.Running, await succeeder.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await failer.tick(state));
+});
+
+test("adding more than a single child throws exception", async (assert) => {
+    const testObject = new SucceederNode("some-succeeder");
+    testObject.addChild(TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>().object);
+    const error = assert.throws(
+        () => testObject.addChild(TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>().object),
+        BehaviorTreeError,
+    );
+    assert.is(error.message, Errors.DECORATOR_MULTIPLE_CHILDREN);
+});
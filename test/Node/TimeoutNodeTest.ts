@@ -0,0 +1,74 @@
+import test from "ava";
+import * as TypeMoq from "typemoq";
+import StateData from "../../src/StateData.js";
+import TimeoutNode from "../../src/Node/TimeoutNode.js";
+import BehaviorTreeNodeInterface from "./BehaviorTreeNodeInterface.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+
+function runningChild(state: StateData) {
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(BehaviorTreeStatus.Running));
+
+    return mockChildNode;
+}
+
+test("ticking with no child node throws error", async (assert) => {
+    const testObject = new TimeoutNode("some-timeout", 100);
+    const error      = await assert.throws(testObject.tick(new StateData()), BehaviorTreeError);
+    assert.is(error.message, Errors.DECORATOR_NO_CHILDREN);
+});
+
+test("rejects durations that aren't a number of milliseconds", async (assert) => {
+    for (const ms of [undefined, "t", "100", -1, NaN, Infinity]) {
+        const error = assert.throws(() => new TimeoutNode("some-timeout", ms), BehaviorTreeError);
+        assert.is(Errors.INVALID_DURATION, error.message);
+    }
+});
+
+test("fails and halts the child when it runs for too long", async (assert) => {
+    const testObject    = new TimeoutNode("some-timeout", 100);
+    const state         = new StateData(60);
+    const mockChildNode = runningChild(state);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+
+    mockChildNode.verify((m) => m.tick(state), TypeMoq.Times.exactly(2));
+    mockChildNode.verify((m) => m.halt(state), TypeMoq.Times.once());
+});
+
+test("uses the clock when one is given", async (assert) => {
+    let now              = 1000;
+    const testObject     = new TimeoutNode("some-timeout", 100, () => now);
+    const state          = new StateData(0);
+    const mockChildNode  = runningChild(state);
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    now = 1099;
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    now = 1100;
+    assert.is(BehaviorTreeStatus.Failure, await testObject.tick(state));
+});
+
+test("restarts the timeout when the child finishes", async (assert) => {
+    const testObject    = new TimeoutNode("some-timeout", 100);
+    const state         = new StateData(60);
+    const statuses      = [BehaviorTreeStatus.Running, BehaviorTreeStatus.Success, BehaviorTreeStatus.Running];
+    const mockChildNode = TypeMoq.Mock.ofType<BehaviorTreeNodeInterface>();
+    mockChildNode
+        .setup(async (m) => await m.tick(state))
+        .returns(() => Promise.resolve(statuses.shift() || BehaviorTreeStatus.Running));
+    testObject.addChild(mockChildNode.object);
+
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Success, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+    assert.is(BehaviorTreeStatus.Running, await testObject.tick(state));
+});
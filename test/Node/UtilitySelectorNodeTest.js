@@ -0,0 +1,71 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import StateData from "../../src/StateData.js";
+
+function buildTree(log, hysteresis) {
+    const goal = (name, status) => (t) => {
+        log.push(name);
+
+        return t.blackboard.get(name, status);
+    };
+
+    return new BehaviorTreeBuilder()
+        .utilitySelector("goal", hysteresis)
+            .utility("exit", (t) => t.blackboard.get("exitScore"))
+                .do("go-to-exit", goal("go-to-exit", BehaviorTreeStatus.Running), () => log.push("halt go-to-exit"))
+            .end()
+            .utility("group", (t) => t.blackboard.get("groupScore"))
+                .do("follow-group", goal("follow-group", BehaviorTreeStatus.Running), () => log.push("halt follow-group"))
+            .end()
+        .end()
+        .build();
+}
+
+test("ticks the highest scoring child and halts the previous choice", async (assert) => {
+    const log   = [];
+    const tree  = buildTree(log);
+    const state = new StateData(0, {exitScore: 1, groupScore: 2});
+
+    assert.is(BehaviorTreeStatus.Running, await tree.tick(state));
+    state.blackboard.set("exitScore", 3);
+    assert.is(BehaviorTreeStatus.Running, await tree.tick(state));
+
+    assert.deepEqual(["follow-group", "go-to-exit", "halt follow-group"], log);
+});
+
+test("tries the next best child when a child fails", (assert) => {
+    const log   = [];
+    const tree  = buildTree(log);
+    const state = new StateData(0, {exitScore: 2, groupScore: 1, "go-to-exit": BehaviorTreeStatus.Failure});
+
+    assert.is(BehaviorTreeStatus.Running, tree.tickSync(state));
+    assert.deepEqual(["go-to-exit", "follow-group"], log);
+});
+
+test("keeps the running child until another one scores more than the hysteresis above it", (assert) => {
+    const log   = [];
+    const tree  = buildTree(log, 0.5);
+    const state = new StateData(0, {exitScore: 1, groupScore: 0});
+
+    tree.tickSync(state);
+    state.blackboard.set("groupScore", 1.5);
+    tree.tickSync(state);
+    state.blackboard.set("groupScore", 1.6);
+    tree.tickSync(state);
+
+    assert.deepEqual(["go-to-exit", "go-to-exit", "follow-group", "halt go-to-exit"], log);
+});
+
+test("children whose score isn't a number are tried last", (assert) => {
+    const log   = [];
+    const tree  = buildTree(log);
+    const state = new StateData(0, {exitScore: NaN, groupScore: -1, "follow-group": BehaviorTreeStatus.Failure});
+
+    assert.is(BehaviorTreeStatus.Running, tree.tickSync(state));
+    state.blackboard.delete("exitScore");
+    state.blackboard.set("groupScore", -2);
+    assert.is(BehaviorTreeStatus.Running, tree.tickSync(state));
+
+    assert.deepEqual(["follow-group", "go-to-exit", "follow-group", "go-to-exit"], log);
+});
@@ -0,0 +1,105 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../src/Error/BehaviorTreeError.js";
+import Errors from "../src/Error/Errors.js";
+import NodeKind from "../src/NodeKind.js";
+import NodeRegistry from "../src/NodeRegistry.js";
+import TreeSerializer from "../src/Serialization/TreeSerializer.js";
+import SequenceNode from "../src/Node/SequenceNode.js";
+import StateData from "../src/StateData.js";
+
+class SucceedNode {
+    childNode;
+    name;
+    constructor(name) {
+        this.name = name;
+    }
+
+    async tick(state) {
+        await this.childNode.tick(state);
+
+        return BehaviorTreeStatus.Success;
+    }
+
+    halt(state) {
+        this.childNode.halt(state);
+    }
+
+    addChild(child) {
+        this.childNode = child;
+    }
+}
+
+class WaitNode {
+    name;
+    ticks;
+    constructor(name, ticks) {
+        this.name = name;
+        this.ticks = ticks;
+    }
+
+    async tick() {
+        return --this.ticks > 0 ? BehaviorTreeStatus.Running : BehaviorTreeStatus.Success;
+    }
+
+    halt() {
+    }
+}
+
+function createRegistry() {
+    return NodeRegistry.createDefault()
+        .register("succeed", SucceedNode, NodeKind.Decorator)
+        .register("wait", WaitNode, NodeKind.Leaf, ["ticks"]);
+}
+
+test("creates registered node types", (assert) => {
+    const registry = createRegistry();
+    const node     = registry.create("wait", "some-wait", 3);
+
+    assert.is(WaitNode, node.constructor);
+    assert.is(3, node.ticks);
+    assert.is("wait", registry.typeOf(node).type);
+    assert.is(SequenceNode, registry.create("sequence", "some-sequence").constructor);
+});
+
+test("registering a type twice throws exception", (assert) => {
+    const error = assert.throws(() => createRegistry().register("wait", WaitNode, NodeKind.Leaf), BehaviorTreeError);
+    assert.is(error.message, Errors.DUPLICATE_NODE_TYPE);
+});
+
+test("creating an unknown type throws exception", (assert) => {
+    const error = assert.throws(() => createRegistry().create("some-type", "some-node"), BehaviorTreeError);
+    assert.is(error.message, `${Errors.UNKNOWN_NODE_TYPE} (some-type)`);
+});
+
+test("builder can create registered node types", async (assert) => {
+    const tree = new BehaviorTreeBuilder(createRegistry())
+        .sequence("some-sequence")
+            .node("succeed", "some-decorator")
+                .do("some-action", async () => BehaviorTreeStatus.Failure)
+            .end()
+            .node("wait", "some-wait", 2)
+        .end()
+        .build();
+
+    assert.is(BehaviorTreeStatus.Running, await tree.tick(new StateData()));
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(new StateData()));
+});
+
+test("registered node types can be saved and loaded", (assert) => {
+    const registry = createRegistry();
+    const tree     = new BehaviorTreeBuilder(registry)
+        .node("succeed", "some-decorator")
+            .node("wait", "some-wait", 2)
+        .end()
+        .build();
+
+    const json = TreeSerializer.toJSON(tree, registry);
+    assert.deepEqual({
+        type: "succeed",
+        name: "some-decorator",
+        children: [{type: "wait", name: "some-wait", params: {ticks: 2}}],
+    }, json);
+    assert.is(2, TreeSerializer.fromJSON(json, {}, registry).childNode.ticks);
+});
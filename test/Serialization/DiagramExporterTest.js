@@ -0,0 +1,75 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import DiagramExporter from "../../src/Serialization/DiagramExporter.js";
+
+function buildTree() {
+    return new BehaviorTreeBuilder()
+        .parallel("root", 1, 2)
+            .condition("is-safe", async () => true)
+            .inverter("not")
+                .do("run", async () => BehaviorTreeStatus.Success)
+            .end()
+        .end()
+        .build();
+}
+
+test("exports a tree as DOT", (assert) => {
+    assert.is([
+        "digraph BehaviorTree {",
+        "    node [fontname=\"Helvetica\"];",
+        "    n0 [label=\"parallel: root\\nrequiredToFail=1\\nrequiredToSucceed=2\", shape=box];",
+        "    n1 [label=\"condition: is-safe\", shape=ellipse];",
+        "    n0 -> n1;",
+        "    n2 [label=\"inverter: not\", shape=diamond];",
+        "    n0 -> n2;",
+        "    n3 [label=\"action: run\", shape=box, style=\"rounded\"];",
+        "    n2 -> n3;",
+        "}",
+    ].join("\n"), DiagramExporter.toDot(buildTree()));
+});
+
+test("exports a tree as a Mermaid flowchart", (assert) => {
+    assert.is([
+        "flowchart TD",
+        "    n0[\"parallel: root<br/>requiredToFail=1<br/>requiredToSucceed=2\"]",
+        "    n1([\"condition: is-safe\"])",
+        "    n0 --> n1",
+        "    n2{\"inverter: not\"}",
+        "    n0 --> n2",
+        "    n3(\"action: run\")",
+        "    n2 --> n3",
+    ].join("\n"), DiagramExporter.toMermaid(buildTree()));
+});
+
+test("annotates nodes with their last status", (assert) => {
+    const statuses = new Map([
+        ["root", BehaviorTreeStatus.Running],
+        ["root/not/run", BehaviorTreeStatus.Success],
+    ]);
+
+    const dot = DiagramExporter.toDot(buildTree(), {statuses}).split("\n");
+    assert.is("    n0 [label=\"parallel: root\\nrequiredToFail=1\\nrequiredToSucceed=2\", shape=box, "
+        + "fillcolor=\"#ffe082\", style=\"filled\"];", dot[2]);
+    assert.is("    n3 [label=\"action: run\", shape=box, fillcolor=\"#a5d6a7\", style=\"rounded,filled\"];", dot[7]);
+
+    const mermaid = DiagramExporter.toMermaid(buildTree(), {statuses}).split("\n");
+    assert.deepEqual([
+        "    classDef success fill:#a5d6a7",
+        "    classDef failure fill:#ef9a9a",
+        "    classDef running fill:#ffe082",
+        "    class n0 running",
+        "    class n3 success",
+    ], mermaid.slice(8));
+});
+
+test("escapes quotes in names", (assert) => {
+    const tree = new BehaviorTreeBuilder()
+        .sequence("say \"hi\"")
+            .do("some-action", async () => BehaviorTreeStatus.Success)
+        .end()
+        .build();
+
+    assert.true(DiagramExporter.toDot(tree).includes("label=\"sequence: say \\\"hi\\\"\\nkeepState=true\""));
+    assert.true(DiagramExporter.toMermaid(tree).includes("n0[\"sequence: say #quot;hi#quot;<br/>keepState=true\"]"));
+});
@@ -0,0 +1,133 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import TreeSerializer from "../../src/Serialization/TreeSerializer.js";
+import StateData from "../../src/StateData.js";
+import AsyncActionNode from "../../src/Node/AsyncActionNode.js";
+import ConditionNode from "../../src/Node/ConditionNode.js";
+import ParallelNode from "../../src/Node/ParallelNode.js";
+
+function buildTree() {
+    return new BehaviorTreeBuilder()
+        .selector("root", true)
+            .condition("is-safe", async () => true)
+            .parallel("flee", 1, 2)
+                .do("run", async () => BehaviorTreeStatus.Success)
+                .inverter("not-blocked")
+                    .do("is-blocked", async () => BehaviorTreeStatus.Failure)
+                .end()
+            .end()
+        .end()
+        .build();
+}
+
+const json = {
+    type: "selector",
+    name: "root",
+    params: {keepState: true},
+    children: [
+        {type: "condition", name: "is-safe"},
+        {
+            type: "parallel",
+            name: "flee",
+            params: {requiredToFail: 1, requiredToSucceed: 2},
+            children: [
+                {type: "action", name: "run"},
+                {type: "inverter", name: "not-blocked", children: [{type: "action", name: "is-blocked"}]},
+            ],
+        },
+    ],
+};
+
+test("describes the structure of a tree", (assert) => {
+    assert.deepEqual(json, TreeSerializer.toJSON(buildTree()));
+});
+
+test("builds a tree from its description", async (assert) => {
+    const tree = TreeSerializer.fromJSON(JSON.stringify(json), {
+        "is-safe": async () => false,
+        "run": async () => BehaviorTreeStatus.Success,
+        "is-blocked": {fn: async () => BehaviorTreeStatus.Failure},
+    });
+
+    assert.true(tree.keepState);
+    assert.true(tree.children[0] instanceof ConditionNode);
+    assert.is(ParallelNode, tree.children[1].constructor);
+    assert.is(2, tree.children[1].requiredToSucceed);
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(new StateData()));
+    assert.deepEqual(json, TreeSerializer.toJSON(tree));
+});
+
+test("the keepState param of loops saved by older versions is ignored", (assert) => {
+    const tree = TreeSerializer.fromJSON({
+        type: "repeat",
+        name: "some-repeat",
+        params: {keepState: false},
+        children: [{type: "action", name: "some-action"}],
+    }, {"some-action": () => BehaviorTreeStatus.Success});
+
+    assert.is(undefined, tree.times);
+    assert.is(1, tree.iterationsPerTick);
+});
+
+test("actions can be looked up in a map", (assert) => {
+    const registry = new Map([["some-action", async () => BehaviorTreeStatus.Success]]);
+    const tree     = TreeSerializer.fromJSON({
+        type: "sequence",
+        name: "some-sequence",
+        children: [{type: "action", name: "some-action"}],
+    }, registry);
+
+    assert.is(registry.get("some-action"), tree.children[0].fn);
+});
+
+test("async actions keep their type", (assert) => {
+    const description = {type: "asyncAction", name: "find-path"};
+    const action      = async () => BehaviorTreeStatus.Success;
+    const tree        = TreeSerializer.fromJSON(description, {"find-path": action});
+
+    assert.is(AsyncActionNode, tree.constructor);
+    assert.is(action, tree.fn);
+    assert.deepEqual(description, TreeSerializer.toJSON(tree));
+});
+
+test("score functions of utility nodes are looked up by name", (assert) => {
+    const score = () => 1;
+    const tree  = TreeSerializer.fromJSON({
+        type: "utilitySelector",
+        name: "goal",
+        params: {hysteresis: 0.1},
+        children: [{type: "utility", name: "exit", children: [{type: "action", name: "go-to-exit"}]}],
+    }, {"exit": score, "go-to-exit": async () => BehaviorTreeStatus.Success});
+
+    assert.is(0.1, tree.hysteresis);
+    assert.is(score, tree.children[0].score);
+});
+
+test("loading an action that isn't registered throws exception", (assert) => {
+    const error = assert.throws(
+        () => TreeSerializer.fromJSON({type: "action", name: "some-action"}, {}),
+        BehaviorTreeError,
+    );
+    assert.is(error.message, `${Errors.UNKNOWN_ACTION} (some-action)`);
+});
+
+test("properties inherited by the registry aren't actions", (assert) => {
+    const error = assert.throws(
+        () => TreeSerializer.fromJSON({type: "action", name: "constructor"}, {}),
+        BehaviorTreeError,
+    );
+    assert.is(error.message, `${Errors.UNKNOWN_ACTION} (constructor)`);
+});
+
+test("loading an unknown node type throws exception", (assert) => {
+    const error = assert.throws(() => TreeSerializer.fromJSON({type: "some-type", name: "some-node"}), BehaviorTreeError);
+    assert.is(error.message, `${Errors.UNKNOWN_NODE_TYPE} (some-type)`);
+});
+
+test("serializing an unknown node type throws exception", (assert) => {
+    const error = assert.throws(() => TreeSerializer.toJSON({name: "some-node"}), BehaviorTreeError);
+    assert.is(error.message, Errors.UNSERIALIZABLE_NODE);
+});
@@ -0,0 +1,200 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import Blackboard from "../../src/Blackboard.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import ParallelPolicy from "../../src/ParallelPolicy.js";
+import Random from "../../src/Random.js";
+import TreeSnapshot from "../../src/Serialization/TreeSnapshot.js";
+import StateData from "../../src/StateData.js";
+import TreeInstance from "../../src/TreeInstance.js";
+
+const R = BehaviorTreeStatus.Running;
+const S = BehaviorTreeStatus.Success;
+const F = BehaviorTreeStatus.Failure;
+
+/**
+ * An action returning the given statuses in turn, counting its ticks in the blackboard.
+ */
+function step(name, statuses) {
+    return (t) => {
+        const count = t.blackboard.get(name, 0);
+        t.blackboard.set(name, count + 1);
+
+        return statuses[count % statuses.length];
+    };
+}
+
+/**
+ * A tree with every built-in node type, each with a child that runs for a while.
+ */
+function buildTree() {
+    const idle = new BehaviorTreeBuilder()
+        .sequence("idle")
+            .do("idle-step", step("idle-step", [R, S]))
+        .end()
+        .build();
+    const spliced = new BehaviorTreeBuilder()
+        .sequence("spliced")
+            .do("x", step("x", [R, R, S]))
+        .end()
+        .build();
+
+    return new BehaviorTreeBuilder()
+        .defineSubtree("idle", idle)
+        .parallel("root", 0, 0)
+            .sequence("sequence", true)
+                .do("a", step("a", [S]))
+                .do("b", step("b", [R, R, S]))
+            .end()
+            .selector("selector", true)
+                .do("c", step("c", [F]))
+                .do("d", step("d", [R, S]))
+            .end()
+            .repeat("repeat")
+                .do("e", step("e", [S, R]))
+            .end()
+            .untilFail("until-fail")
+                .do("f", step("f", [S, R, F]))
+            .end()
+            .reactiveSelector("reactive-selector")
+                .condition("g", (t) => t.blackboard.get("g", false))
+                .do("h", step("h", [R]))
+            .end()
+            .reactiveSequence("reactive-sequence")
+                .condition("i", () => true)
+                .do("j", step("j", [R, S]))
+            .end()
+            .randomSelector("random-selector", () => 0.5)
+                .do("k", step("k", [F, R]))
+                .do("l", step("l", [R]))
+            .end()
+            .randomSequence("random-sequence", () => 0.5)
+                .do("m", step("m", [S]))
+                .do("n", step("n", [R, S]))
+            .end()
+            .weightedSelector("weighted-selector", [2, 1], () => 0.5)
+                .do("o", step("o", [F]))
+                .do("p", step("p", [R, R, F]))
+            .end()
+            .utilitySelector("utility-selector", 0.1)
+                .utility("q-score", (t) => t.blackboard.get("q", 0) % 3)
+                    .do("q", step("q", [R]))
+                .end()
+                .utility("r-score", () => 1)
+                    .do("r", step("r", [R]))
+                .end()
+            .end()
+            .inverter("inverter")
+                .do("s", step("s", [R, S]))
+            .end()
+            .timeout("timeout", 250)
+                .do("t", step("t", [R]))
+            .end()
+            .cooldown("cooldown", 250)
+                .do("u", step("u", [S]))
+            .end()
+            .retry("retry", 3)
+                .do("v", step("v", [F, R]))
+            .end()
+            .succeeder("succeeder")
+                .do("w", step("w", [R, F]))
+            .end()
+            .failer("failer")
+                .do("y", step("y", [R, S]))
+            .end()
+            .repeatN("repeat-n", 3)
+                .do("z", step("z", [S, R]))
+            .end()
+            .splice(spliced, {x: "spliced-x"})
+            .subtree("idle")
+            .waitFor("alarm", (t) => t.blackboard.get("alarm", false), {keys: ["alarm"]})
+            .parallel("parallel", 0, ParallelPolicy.RequireAll, true)
+                .do("remembered", step("remembered", [S]))
+                .do("running", step("running", [R, R, S]))
+            .end()
+            .doAsync("async", () => new Promise(() => undefined))
+        .end()
+        .build();
+}
+
+test("restores a freshly built tree to the state of a snapshot", (assert) => {
+    const original = new TreeInstance(buildTree());
+    for (let i = 0; i < 4; i++) {
+        original.tickSync(100);
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(original.snapshot()));
+    const restored = new TreeInstance(buildTree(), new Blackboard(Object.assign({}, original.blackboard.data)));
+    restored.restore(snapshot);
+    assert.deepEqual(original.snapshot(), restored.snapshot());
+
+    for (let i = 0; i < 4; i++) {
+        assert.is(original.tickSync(100), restored.tickSync(100));
+    }
+    assert.deepEqual(original.blackboard.data, restored.blackboard.data);
+    assert.deepEqual(original.snapshot(), restored.snapshot());
+});
+
+test("saves the running children, counters and positions of the nodes by path", (assert) => {
+    const instance = new TreeInstance(buildTree());
+    instance.tickSync(100);
+    instance.tickSync(100);
+
+    const snapshot = instance.snapshot();
+
+    assert.deepEqual({$enumerator: 1, $order: [0, 1]}, snapshot["root/sequence"].enumerator);
+    assert.deepEqual({$child: 1}, snapshot["root/sequence"].runningChild);
+    assert.deepEqual({running: true}, snapshot["root/sequence/b"]);
+    assert.is(2, snapshot["root/repeat-n"].successes);
+    assert.is(100, snapshot["root/timeout"].elapsed);
+    assert.deepEqual([S, R], snapshot["root/parallel"].statuses);
+    assert.deepEqual({running: true}, snapshot["root/async"]);
+});
+
+test("restores the order of random composites", (assert) => {
+    const build = () => new BehaviorTreeBuilder()
+        .randomSelector("wander", Random.seeded(11))
+            .do("a", () => R)
+            .do("b", () => R)
+            .do("c", () => R)
+        .end()
+        .build();
+
+    const original = build();
+    const state    = new StateData();
+    for (let i = 0; i < 3; i++) {
+        original.tickSync(state);
+        original.halt(state);
+    }
+    original.tickSync(state);
+
+    const restored = build();
+    TreeSnapshot.restore(restored, TreeSnapshot.snapshot(original));
+
+    const runningChild = (tree) => new StateData().memoryOf(tree).runningChild.name;
+    assert.is(runningChild(original), runningChild(restored));
+    assert.deepEqual(TreeSnapshot.snapshot(original), TreeSnapshot.snapshot(restored));
+});
+
+test("trees with sibling nodes of the same name can't be saved or restored", (assert) => {
+    const tree = new BehaviorTreeBuilder()
+        .parallel("root", 2, 2)
+            .sequence("walk")
+                .do("a", () => S)
+                .do("b", () => R)
+            .end()
+            .sequence("walk")
+                .do("a", () => R)
+            .end()
+        .end()
+        .build();
+    tree.tickSync(new StateData());
+
+    const saving = assert.throws(() => TreeSnapshot.snapshot(tree), BehaviorTreeError);
+    assert.is(`${Errors.DUPLICATE_NODE_PATH} (root/walk)`, saving.message);
+
+    const restoring = assert.throws(() => TreeSnapshot.restore(tree, {}), BehaviorTreeError);
+    assert.is(`${Errors.DUPLICATE_NODE_PATH} (root/walk)`, restoring.message);
+});
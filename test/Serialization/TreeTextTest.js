@@ -0,0 +1,81 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import ConditionNode from "../../src/Node/ConditionNode.js";
+import ParallelPolicy from "../../src/ParallelPolicy.js";
+import TreeText from "../../src/Serialization/TreeText.js";
+import StateData from "../../src/StateData.js";
+
+const text = `# Flee when threatened, or wait for the alarm.
+selector root keepState=true
+    condition is-safe
+    parallel flee requiredToFail=1 requiredToSucceed=REQUIRE_ALL
+
+        action run          # Comments run to the end of the line.
+        inverter not-blocked
+            action "is blocked"
+    waitFor alarm keys=["alarm", "siren"] ms=500`;
+
+const registry = {
+    "is-safe": async () => false,
+    "run": async () => BehaviorTreeStatus.Success,
+    "is blocked": async () => BehaviorTreeStatus.Failure,
+    "alarm": () => false,
+};
+
+test("builds a tree from its text", async (assert) => {
+    const tree = TreeText.parse(text, registry);
+
+    assert.true(tree.keepState);
+    assert.true(tree.children[0] instanceof ConditionNode);
+    assert.is(ParallelPolicy.RequireAll, tree.children[1].requiredToSucceed);
+    assert.is("is blocked", tree.children[1].children[1].childNode.name);
+    assert.deepEqual(["alarm", "siren"], tree.children[2].keys);
+    assert.is(BehaviorTreeStatus.Success, await tree.tick(new StateData()));
+});
+
+test("formats a tree as text that parses to the same tree", (assert) => {
+    const tree = new BehaviorTreeBuilder()
+        .sequence("root")
+            .timeout("give-up", 5000)
+                .do("walk-to-exit", async () => BehaviorTreeStatus.Success)
+            .end()
+            .subtree("look around", {target: "threat"}, {turns: 2})
+        .end()
+        .build();
+
+    const formatted = TreeText.format(tree);
+
+    assert.is([
+        "sequence root keepState=true",
+        "    timeout give-up ms=5000",
+        "        action walk-to-exit",
+        "    subtree \"look around\" subtree=\"look around\" remapping={\"target\":\"threat\"} params={\"turns\":2}",
+    ].join("\n"), formatted);
+    assert.is(formatted, TreeText.fromJSON(TreeText.toJSON(formatted)));
+});
+
+test("reports the line of a mistake", (assert) => {
+    const mistakes = [
+        ["sequence root\n    dance jig", Errors.UNKNOWN_NODE_TYPE, 2],
+        ["sequence root\n    action run\n  action hide", Errors.INVALID_INDENTATION, 3],
+        ["sequence root\n    action run\n        action hide", Errors.LEAF_WITH_CHILDREN, 3],
+        ["sequence root\nsequence other", Errors.MULTIPLE_ROOTS, 2],
+        ["sequence root tempo=2", Errors.UNKNOWN_PARAMETER, 1],
+        ["sequence root keepState=[true", Errors.INVALID_SYNTAX, 1],
+        ["sequence", Errors.INVALID_SYNTAX, 1],
+    ];
+
+    mistakes.forEach(([source, message, line]) => {
+        const error = assert.throws(() => TreeText.toJSON(source), BehaviorTreeError);
+        assert.is(`${message} (line ${line})`, error.message);
+        assert.is(line, error.line);
+    });
+});
+
+test("text without nodes throws exception", (assert) => {
+    const error = assert.throws(() => TreeText.toJSON("# Nothing yet\n"), BehaviorTreeError);
+    assert.is(Errors.NO_NODES, error.message);
+});
@@ -0,0 +1,172 @@
+import test from "ava";
+import Blackboard from "../../src/Blackboard.js";
+import BehaviorTreeStatus from "../../src/BehaviorTreeStatus.js";
+import BehaviorTreeError from "../../src/Error/BehaviorTreeError.js";
+import Errors from "../../src/Error/Errors.js";
+import ConditionNode from "../../src/Node/ConditionNode.js";
+import ParallelNode from "../../src/Node/ParallelNode.js";
+import RepeatNNode from "../../src/Node/RepeatNNode.js";
+import RepeatNode from "../../src/Node/RepeatNode.js";
+import SelectorNode from "../../src/Node/SelectorNode.js";
+import SubtreeNode from "../../src/Node/SubtreeNode.js";
+import UntilSuccessNode from "../../src/Node/UntilSuccessNode.js";
+import ParallelPolicy from "../../src/ParallelPolicy.js";
+import TreeXml from "../../src/Serialization/TreeXml.js";
+import TreeInstance from "../../src/TreeInstance.js";
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<root BTCPP_format="4" main_tree_to_execute="MainTree">
+    <!-- Authored with Groot -->
+    <BehaviorTree ID="MainTree">
+        <Fallback name="get-out">
+            <Condition ID="IsDoorOpen"/>
+            <Sequence name="through-door">
+                <SubTree ID="OpenDoor" door="{front_door}" force="strong"/>
+                <Parallel success_count="-1" failure_count="1">
+                    <Inverter>
+                        <Action ID="IsBlocked"/>
+                    </Inverter>
+                    <WalkTo name="walk-out"/>
+                </Parallel>
+            </Sequence>
+        </Fallback>
+    </BehaviorTree>
+    <BehaviorTree ID="OpenDoor">
+        <Action ID="PushDoor"/>
+    </BehaviorTree>
+    <TreeNodesModel>
+        <Action ID="WalkTo"/>
+    </TreeNodesModel>
+</root>`;
+
+function createRegistry(log) {
+    return {
+        IsDoorOpen: () => false,
+        IsBlocked: () => BehaviorTreeStatus.Failure,
+        WalkTo: () => BehaviorTreeStatus.Success,
+        PushDoor: (t) => {
+            log.push(`${t.blackboard.get("door")} ${t.blackboard.get("force")}`);
+
+            return BehaviorTreeStatus.Success;
+        },
+    };
+}
+
+test("builds the main tree of a document", (assert) => {
+    const log  = [];
+    const tree = TreeXml.parse(xml, createRegistry(log));
+
+    assert.is(SelectorNode, tree.constructor);
+    assert.true(tree.children[0] instanceof ConditionNode);
+
+    const [subtree, parallel] = tree.children[1].children;
+    assert.is(SubtreeNode, subtree.constructor);
+    assert.deepEqual({door: "front_door"}, subtree.remapping);
+    assert.is(ParallelNode, parallel.constructor);
+    assert.is(ParallelPolicy.RequireAll, parallel.requiredToSucceed);
+    assert.is(1, parallel.requiredToFail);
+    assert.is("walk-out", parallel.children[1].name);
+    assert.is("WalkTo", parallel.children[1].id);
+
+    const instance = new TreeInstance(tree, new Blackboard({front_door: "oak"}));
+    assert.is(BehaviorTreeStatus.Success, instance.tickSync());
+    assert.deepEqual(["oak strong"], log);
+});
+
+test("exports a tree in the same format", (assert) => {
+    const tree = TreeXml.parse(xml, createRegistry([]));
+
+    assert.is([
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<root BTCPP_format=\"4\" main_tree_to_execute=\"MainTree\">",
+        "    <BehaviorTree ID=\"MainTree\">",
+        "        <Fallback name=\"get-out\">",
+        "            <Condition ID=\"IsDoorOpen\"/>",
+        "            <Sequence name=\"through-door\">",
+        "                <SubTree ID=\"OpenDoor\" door=\"{front_door}\" force=\"strong\"/>",
+        "                <Parallel success_count=\"-1\" failure_count=\"1\">",
+        "                    <Inverter>",
+        "                        <Action ID=\"IsBlocked\"/>",
+        "                    </Inverter>",
+        "                    <Action ID=\"WalkTo\" name=\"walk-out\"/>",
+        "                </Parallel>",
+        "            </Sequence>",
+        "        </Fallback>",
+        "    </BehaviorTree>",
+        "    <BehaviorTree ID=\"OpenDoor\">",
+        "        <Action ID=\"PushDoor\"/>",
+        "    </BehaviorTree>",
+        "</root>",
+    ].join("\n"), TreeXml.format(tree));
+});
+
+test("actions are looked up by ID", (assert) => {
+    const error = assert.throws(() => TreeXml.parse(xml, {}), BehaviorTreeError);
+    assert.is(`${Errors.UNKNOWN_ACTION} (IsDoorOpen)`, error.message);
+});
+
+test("elements that aren't control or decorator nodes can't have children", (assert) => {
+    const error = assert.throws(() => TreeXml.parse(`
+        <root>
+            <BehaviorTree ID="Main"><SequenceWithMemory><Action ID="Go"/></SequenceWithMemory></BehaviorTree>
+        </root>`, {Go: () => BehaviorTreeStatus.Success}), BehaviorTreeError);
+    assert.is(`${Errors.UNKNOWN_CONTROL_ELEMENT} (SequenceWithMemory)`, error.message);
+});
+
+test("a count of -1 repeats forever", (assert) => {
+    const source = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<root BTCPP_format=\"4\" main_tree_to_execute=\"MainTree\">",
+        "    <BehaviorTree ID=\"MainTree\">",
+        "        <Sequence>",
+        "            <Repeat num_cycles=\"-1\">",
+        "                <Action ID=\"Go\"/>",
+        "            </Repeat>",
+        "            <Repeat num_cycles=\"3\">",
+        "                <Action ID=\"Go\"/>",
+        "            </Repeat>",
+        "            <RetryUntilSuccessful num_attempts=\"-1\">",
+        "                <Action ID=\"Go\"/>",
+        "            </RetryUntilSuccessful>",
+        "        </Sequence>",
+        "    </BehaviorTree>",
+        "</root>",
+    ].join("\n");
+    const tree = TreeXml.parse(source, {Go: () => BehaviorTreeStatus.Success});
+
+    const [forever, thrice, untilSuccess] = tree.children;
+    assert.is(RepeatNode, forever.constructor);
+    assert.is(undefined, forever.times);
+    assert.is(RepeatNNode, thrice.constructor);
+    assert.is(UntilSuccessNode, untilSuccess.constructor);
+    assert.is(undefined, untilSuccess.attempts);
+    assert.is(source, TreeXml.format(tree));
+});
+
+test("subtrees must be defined and can't reference themselves", (assert) => {
+    const unknown = assert.throws(() => TreeXml.parse(`
+        <root>
+            <BehaviorTree ID="Main"><SubTree ID="Flee"/></BehaviorTree>
+        </root>`), BehaviorTreeError);
+    assert.is(`${Errors.UNKNOWN_SUBTREE} (Flee)`, unknown.message);
+
+    const recursive = assert.throws(() => TreeXml.parse(`
+        <root>
+            <BehaviorTree ID="Flee"><Sequence><SubTree ID="Hide"/></Sequence></BehaviorTree>
+            <BehaviorTree ID="Hide"><SubTree ID="Flee"/></BehaviorTree>
+        </root>`), BehaviorTreeError);
+    assert.is(`${Errors.RECURSIVE_SUBTREE} (Flee/Hide/Flee)`, recursive.message);
+});
+
+test("malformed XML throws exception", (assert) => {
+    ["<root><BehaviorTree></root>", "<root/><root/>", "<root a=1/>", ""].forEach((source) => {
+        const error = assert.throws(() => TreeXml.readXml(source), BehaviorTreeError);
+        assert.is(Errors.INVALID_XML, error.message);
+    });
+});
+
+test("attribute values are unescaped", (assert) => {
+    const root = TreeXml.readXml(`<root name="&lt;A&gt; &amp; &quot;B&apos; &#67;&#x44;&#x4a; &AMP; &#X45;"/>`);
+
+    assert.is(`<A> & "B' CDJ &AMP; &#X45;`, root.attributes.name);
+});
@@ -0,0 +1,150 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../src/BehaviorTreeStatus.js";
+import Blackboard from "../src/Blackboard.js";
+import ErrorPolicy from "../src/ErrorPolicy.js";
+import StateData from "../src/StateData.js";
+import SequenceNode from "../src/Node/SequenceNode.js";
+import TraceEventType from "../src/TraceEventType.js";
+import Tracer from "../src/Tracer.js";
+import TreeInstance from "../src/TreeInstance.js";
+
+function buildTree(moveStatus = () => BehaviorTreeStatus.Running) {
+    return new BehaviorTreeBuilder()
+        .selector("root")
+            .sequence("patrol")
+                .condition("is-calm", async () => true)
+                .do("move-to", async () => moveStatus())
+            .end()
+        .end()
+        .build();
+}
+
+test("emits enter and exit events with node paths and tick numbers", async (assert) => {
+    const tree   = buildTree();
+    const events = [];
+    new Tracer().attach(tree).on((e) => events.push(Tracer.format(e)));
+
+    await tree.tick(new StateData());
+    await tree.tick(new StateData());
+
+    assert.is(14, events.length);
+    assert.deepEqual([
+        "#1 root ENTER",
+        "#1 root/patrol ENTER",
+        "#1 root/patrol/is-calm ENTER",
+        "#1 root/patrol/is-calm EXIT SUCCESS",
+        "#1 root/patrol/move-to ENTER",
+        "#1 root/patrol/move-to EXIT RUNNING",
+        "#1 root/patrol EXIT RUNNING",
+        "#1 root EXIT RUNNING",
+    ], events.slice(0, 8));
+    assert.is("#2 root EXIT RUNNING", events[13]);
+});
+
+test("emits halt events for running nodes", async (assert) => {
+    const tree   = buildTree();
+    const halted = [];
+    new Tracer().attach(tree).on((e) => e.type === TraceEventType.Halt && halted.push(e.path));
+
+    await tree.tick(new StateData());
+    tree.halt(new StateData());
+    tree.halt(new StateData());
+
+    assert.deepEqual(["root/patrol/move-to", "root/patrol", "root"], halted);
+});
+
+test("emits error events", async (assert) => {
+    const error  = new Error("some-error");
+    const tree   = buildTree(() => { throw error; });
+    const events = [];
+    new Tracer().attach(tree).on((e) => e.type === TraceEventType.Error && events.push(e));
+
+    await assert.throws(tree.tick(new StateData()));
+
+    assert.deepEqual(["root/patrol/move-to", "root/patrol", "root"], events.map((e) => e.path));
+    assert.is(error, events[0].error.cause);
+    assert.is("root/patrol/move-to", events[0].error.path);
+    assert.is(1, events[0].error.tick);
+});
+
+test("emits error events that the error policy turns into failures", async (assert) => {
+    const tree     = buildTree(() => { throw new Error("some-error"); });
+    const instance = new TreeInstance(tree, new Blackboard(), ErrorPolicy.Fail);
+    const events   = [];
+    new Tracer().attach(tree).on((e) => e.path.endsWith("move-to") && events.push(Tracer.format(e)));
+
+    assert.is(BehaviorTreeStatus.Failure, await instance.tick(16));
+
+    assert.deepEqual([
+        "#1 root/patrol/move-to ENTER",
+        "#1 root/patrol/move-to ERROR Error: some-error (root/patrol/move-to)",
+        "#1 root/patrol/move-to EXIT FAILURE",
+    ], events);
+});
+
+test("remembers the last status of each node", async (assert) => {
+    const tree   = buildTree();
+    const tracer = new Tracer().attach(tree);
+
+    await tree.tick(new StateData());
+
+    assert.is(BehaviorTreeStatus.Success, tracer.statuses.get("root/patrol/is-calm"));
+    assert.is(BehaviorTreeStatus.Running, tracer.statuses.get("root"));
+});
+
+test("counts ticks and remembers statuses for each instance", async (assert) => {
+    const moves  = [BehaviorTreeStatus.Running, BehaviorTreeStatus.Success, BehaviorTreeStatus.Running];
+    const tree   = buildTree(() => moves.shift());
+    const tracer = new Tracer().attach(tree);
+    const first  = new TreeInstance(tree);
+    const second = new TreeInstance(tree);
+    const events = [];
+    tracer.on((e) => e.node === tree && events.push(`${e.state.instance === first ? "first" : "second"} ${e.tick}`));
+
+    await first.tick(16);
+    await second.tick(16);
+    await first.tick(16);
+
+    assert.is(BehaviorTreeStatus.Running, tracer.statusesOf(first).get("root/patrol/move-to"));
+    assert.is(BehaviorTreeStatus.Success, tracer.statusesOf(second).get("root"));
+    assert.is(0, tracer.statuses.size);
+
+    second.halt();
+    first.halt();
+
+    assert.deepEqual(["first 1", "first 1", "second 1", "second 1", "first 2", "first 2", "first 2"], events);
+});
+
+test("detaching restores the nodes", async (assert) => {
+    const tree   = buildTree();
+    const tracer = new Tracer().attach(tree);
+    const events = [];
+    tracer.on((e) => events.push(e));
+
+    tracer.detach();
+    await tree.tick(new StateData());
+
+    assert.is(0, events.length);
+    assert.false(tree.hasOwnProperty("tick"));
+    assert.is(SequenceNode.prototype.tick, tree.children[0].tick);
+});
+
+test("tracers can be detached in any order", async (assert) => {
+    const tree   = buildTree();
+    const first  = new Tracer().attach(tree);
+    const second = new Tracer().attach(tree);
+    const events = {first: 0, second: 0};
+    first.on(() => events.first++);
+    second.on(() => events.second++);
+
+    first.detach();
+    await tree.tick(new StateData());
+    assert.deepEqual({first: 0, second: 8}, events);
+
+    second.detach();
+    await tree.tick(new StateData());
+    assert.deepEqual({first: 0, second: 8}, events);
+    assert.false(tree.hasOwnProperty("tick"));
+    assert.is(SequenceNode.prototype.tick, tree.children[0].tick);
+});
@@ -0,0 +1,325 @@
+import test from "ava";
+import Blackboard from "../src/Blackboard.js";
+import BehaviorTreeBuilder from "../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../src/BehaviorTreeStatus.js";
+import ErrorPolicy from "../src/ErrorPolicy.js";
+import TreeInstance from "../src/TreeInstance.js";
+
+const R = BehaviorTreeStatus.Running;
+
+function buildTree(halted = []) {
+    return new BehaviorTreeBuilder()
+        .sequence("agent")
+            .do("walk", async (t) => {
+                const steps = t.blackboard.get("steps", 0) + 1;
+                t.blackboard.set("steps", steps);
+
+                return steps < 2 ? BehaviorTreeStatus.Running : BehaviorTreeStatus.Success;
+            }, (t) => halted.push(t.blackboard.get("name")))
+            .repeatN("wave", 2)
+                .do("wave-once", async () => BehaviorTreeStatus.Success)
+            .end()
+        .end()
+        .build();
+}
+
+test("instances of a tree keep their own runtime state", async (assert) => {
+    const tree   = buildTree();
+    const first  = new TreeInstance(tree);
+    const second = new TreeInstance(tree);
+
+    assert.is(BehaviorTreeStatus.Running, await first.tick(16));
+    assert.is(BehaviorTreeStatus.Success, await first.tick(16));
+    assert.is(BehaviorTreeStatus.Running, await second.tick(16));
+    assert.is(2, first.blackboard.get("steps"));
+    assert.is(1, second.blackboard.get("steps"));
+});
+
+test("passes the instance and its blackboard to the nodes", async (assert) => {
+    const blackboard = new Blackboard({name: "agent-1"});
+    let received;
+    const tree = new BehaviorTreeBuilder()
+        .sequence("agent")
+            .do("some-action", async (t) => {
+                received = t;
+
+                return BehaviorTreeStatus.Success;
+            })
+        .end()
+        .build();
+    const instance = new TreeInstance(tree, blackboard);
+
+    await instance.tick(16);
+
+    assert.is(instance, received.instance);
+    assert.is(blackboard, received.blackboard);
+    assert.is("agent-1", received.state.name);
+    assert.is(16, received.deltaTime);
+});
+
+test("halting an instance only halts its own running nodes", async (assert) => {
+    const halted = [];
+    const tree   = buildTree(halted);
+    const first  = new TreeInstance(tree, new Blackboard({name: "first"}));
+    const second = new TreeInstance(tree, new Blackboard({name: "second"}));
+
+    await first.tick(16);
+    await second.tick(16);
+    first.halt();
+
+    assert.deepEqual(["first"], halted);
+});
+
+test("resetting an instance forgets its runtime state", async (assert) => {
+    const halted   = [];
+    const instance = new TreeInstance(buildTree(halted), new Blackboard({name: "agent"}));
+
+    await instance.tick(16);
+    instance.reset();
+    instance.blackboard.set("steps", 0);
+
+    assert.deepEqual(["agent"], halted);
+    assert.is(BehaviorTreeStatus.Running, await instance.tick(16));
+});
+
+test("ticks a tree synchronously", (assert) => {
+    const instance = new TreeInstance(new BehaviorTreeBuilder()
+        .sequence("agent")
+            .condition("ready", (t) => t.blackboard.get("ready", true))
+            .do("walk", () => BehaviorTreeStatus.Running)
+        .end()
+        .build());
+
+    const status = instance.tickSync(16);
+
+    assert.is(BehaviorTreeStatus.Running, status);
+    assert.is(false, status instanceof Promise);
+    instance.blackboard.set("ready", false);
+    assert.is(BehaviorTreeStatus.Running, instance.tickSync(16));
+});
+
+function buildWaitingTree(log) {
+    return new BehaviorTreeBuilder()
+        .sequence("agent")
+            .waitFor("alarm", (t) => {
+                log.push("check");
+
+                return t.blackboard.get("alarm", false);
+            }, {keys: ["alarm"], events: ["fire"], ms: 1000})
+            .do("evacuate", (t) => {
+                log.push(`evacuate:${t.deltaTime}`);
+
+                return BehaviorTreeStatus.Running;
+            })
+        .end()
+        .build();
+}
+
+test("sleeps while waiting until a blackboard key changes", (assert) => {
+    const log      = [];
+    const instance = new TreeInstance(buildWaitingTree(log));
+
+    assert.is(BehaviorTreeStatus.Running, instance.tickSync(16));
+    assert.true(instance.asleep);
+    assert.is(BehaviorTreeStatus.Running, instance.tickSync(16));
+    assert.deepEqual(["check"], log);
+
+    instance.blackboard.set("alarm", true);
+    assert.false(instance.asleep);
+    instance.tickSync(16);
+    instance.tickSync(16);
+    assert.deepEqual(["check", "check", "evacuate:32", "evacuate:16"], log);
+    assert.false(instance.asleep);
+});
+
+test("sleeps while waiting until an event is emitted or the time elapses", async (assert) => {
+    const log      = [];
+    const instance = new TreeInstance(buildWaitingTree(log));
+
+    await instance.tick(16);
+    instance.emit("smoke");
+    await instance.tick(16);
+    instance.emit("fire");
+    await instance.tick(16);
+    assert.deepEqual(["check", "check"], log);
+
+    await instance.tick(500);
+    await instance.tick(500);
+    assert.deepEqual(["check", "check", "check"], log);
+});
+
+test("doesn't sleep while an action is running", (assert) => {
+    const log      = [];
+    const instance = new TreeInstance(new BehaviorTreeBuilder()
+        .parallel("agent", 0, 0)
+            .waitFor("alarm", () => false, {keys: ["alarm"]})
+            .do("wander", () => {
+                log.push("wander");
+
+                return BehaviorTreeStatus.Running;
+            })
+        .end()
+        .build());
+
+    instance.tickSync(16);
+    instance.tickSync(16);
+
+    assert.false(instance.asleep);
+    assert.deepEqual(["wander", "wander"], log);
+});
+
+test("a timeout wakes up the instance when its time is up", (assert) => {
+    const instance = new TreeInstance(new BehaviorTreeBuilder()
+        .sequence("agent")
+            .timeout("give-up", 500)
+                .waitFor("alarm", (t) => t.blackboard.get("alarm", false), {keys: ["alarm"]})
+            .end()
+        .end()
+        .build());
+
+    assert.is(BehaviorTreeStatus.Running, instance.tickSync(100));
+    assert.true(instance.asleep);
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+        statuses.push(instance.tickSync(100));
+    }
+
+    assert.deepEqual([R, R, R, R, BehaviorTreeStatus.Failure], statuses);
+    assert.false(instance.asleep);
+});
+
+test("a loop that stopped for the tick keeps the instance awake", (assert) => {
+    const log      = [];
+    const instance = new TreeInstance(new BehaviorTreeBuilder()
+        .parallel("agent", 0, 0)
+            .waitFor("alarm", () => false, {keys: ["alarm"]})
+            .repeat("idle", undefined, 2)
+                .do("fidget", () => log.push("fidget") && BehaviorTreeStatus.Success)
+            .end()
+        .end()
+        .build());
+
+    for (let i = 0; i < 10; i++) {
+        instance.tickSync(100);
+    }
+
+    assert.false(instance.asleep);
+    assert.is(20, log.length);
+});
+
+function buildBrokenTree() {
+    return new BehaviorTreeBuilder()
+        .selector("agent")
+            .sequence("flee")
+                .do("run", () => {
+                    throw new Error("no legs");
+                })
+            .end()
+            .do("hide", () => BehaviorTreeStatus.Success)
+        .end()
+        .build();
+}
+
+test("errors tell the path of the failing node and the tick", (assert) => {
+    const instance = new TreeInstance(buildBrokenTree());
+
+    assert.throws(() => instance.tickSync(16));
+    const error = assert.throws(() => instance.tickSync(16));
+
+    assert.is("no legs (agent/flee/run)", error.message);
+    assert.is("no legs", error.cause.message);
+    assert.is(2, error.tick);
+    assert.is(instance, error.instance);
+});
+
+test("the fail policy turns errors into failures", async (assert) => {
+    const instance = new TreeInstance(buildBrokenTree(), new Blackboard(), ErrorPolicy.Fail);
+
+    assert.is(BehaviorTreeStatus.Success, await instance.tick(16));
+});
+
+test("a handler policy decides the status of the failing node", (assert) => {
+    const errors   = [];
+    const instance = new TreeInstance(buildBrokenTree(), new Blackboard(), (error) => {
+        errors.push(error.path);
+
+        return BehaviorTreeStatus.Running;
+    });
+
+    assert.is(BehaviorTreeStatus.Running, instance.tickSync(16));
+    assert.deepEqual(["agent/flee/run"], errors);
+});
+
+test("waiting inside a scoped subtree wakes up on changes of the parent blackboard", (assert) => {
+    const flee     = new BehaviorTreeBuilder()
+        .sequence("flee")
+            .waitFor("go", (t) => t.blackboard.get("go"), {keys: ["go"]})
+            .do("run", () => BehaviorTreeStatus.Success)
+        .end()
+        .build();
+    const tree     = new BehaviorTreeBuilder()
+        .defineSubtree("flee", flee)
+        .sequence("agent")
+            .subtree("flee", {}, {speed: 1})
+        .end()
+        .build();
+    const instance = new TreeInstance(tree);
+
+    assert.is(R, instance.tickSync(16));
+    assert.true(instance.asleep);
+
+    instance.blackboard.set("go", true);
+    assert.is(BehaviorTreeStatus.Success, instance.tickSync(16));
+});
+
+test("a reactive selector keeps checking its conditions while a later child waits", (assert) => {
+    const tree     = new BehaviorTreeBuilder()
+        .reactiveSelector("evacuate")
+            .condition("alarm", (t) => t.blackboard.get("alarm", false))
+            .waitFor("calm", () => false, {keys: ["calm"]})
+        .end()
+        .build();
+    const instance = new TreeInstance(tree);
+
+    assert.is(R, instance.tickSync(16));
+    assert.false(instance.asleep);
+
+    instance.blackboard.set("alarm", true);
+    assert.is(BehaviorTreeStatus.Success, instance.tickSync(16));
+});
+
+test("a utility selector keeps scoring its children while one waits", (assert) => {
+    const tree     = new BehaviorTreeBuilder()
+        .utilitySelector("goal")
+            .utility("exit", (t) => t.blackboard.get("exitScore", 0))
+                .do("leave", () => BehaviorTreeStatus.Success)
+            .end()
+            .utility("group", () => 1)
+                .waitFor("with-group", () => false, {keys: ["withGroup"]})
+            .end()
+        .end()
+        .build();
+    const instance = new TreeInstance(tree);
+
+    assert.is(R, instance.tickSync(16));
+    assert.false(instance.asleep);
+
+    instance.blackboard.set("exitScore", 2);
+    assert.is(BehaviorTreeStatus.Success, instance.tickSync(16));
+});
+
+test("a guard keeps checking its predicate while its child waits", (assert) => {
+    const tree     = new BehaviorTreeBuilder()
+        .guard("calm", (t) => t.blackboard.get("ok", true))
+            .waitFor("rest", () => false, {keys: ["rested"]})
+        .end()
+        .build();
+    const instance = new TreeInstance(tree);
+
+    assert.is(R, instance.tickSync(16));
+    assert.false(instance.asleep);
+
+    instance.blackboard.set("ok", false);
+    assert.is(BehaviorTreeStatus.Failure, instance.tickSync(16));
+});
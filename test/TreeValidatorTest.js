@@ -0,0 +1,46 @@
+import test from "ava";
+import BehaviorTreeBuilder from "../src/BehaviorTreeBuilder.js";
+import BehaviorTreeStatus from "../src/BehaviorTreeStatus.js";
+import Errors from "../src/Error/Errors.js";
+import ActionNode from "../src/Node/ActionNode.js";
+import SequenceNode from "../src/Node/SequenceNode.js";
+import TreeValidator from "../src/TreeValidator.js";
+
+test("a valid tree has no diagnostics", (assert) => {
+    const tree = new BehaviorTreeBuilder()
+        .sequence("root")
+            .condition("is-safe", () => true)
+            .parallel("flee", 1, 1)
+                .do("run", () => BehaviorTreeStatus.Success)
+            .end()
+        .end()
+        .build();
+
+    assert.deepEqual([], TreeValidator.validate(tree));
+});
+
+test("reports nodes without children or functions, and duplicate paths", (assert) => {
+    const tree = new SequenceNode("root");
+    tree.addChild(new ActionNode("move"));
+    tree.addChild(new SequenceNode("move"));
+
+    const diagnostics = TreeValidator.validate(tree);
+
+    assert.deepEqual([
+        {path: "root/move", node: tree.children[0], message: Errors.ACTION_NO_FUNCTION},
+        {path: "root/move", node: tree.children[1], message: Errors.DUPLICATE_NODE_PATH},
+        {path: "root/move", node: tree.children[1], message: Errors.EMPTY_COMPOSITE},
+    ], diagnostics);
+    assert.is(`root/move: ${Errors.EMPTY_COMPOSITE}`, TreeValidator.format(diagnostics[2]));
+});
+
+test("nodes of unregistered types are checked too", (assert) => {
+    class WaitNode {
+        name      = "wait";
+        childNode = undefined;
+    }
+    const tree = new SequenceNode("root");
+    tree.addChild(new WaitNode());
+
+    assert.deepEqual([Errors.DECORATOR_NO_CHILDREN], TreeValidator.validate(tree).map((d) => d.message));
+});